@@ -46,6 +46,14 @@ module.exports = {
         exclude: /node_modules/,
         include: [resolve('src')]
       },
+      {
+        test: /\.worker\.js$/,
+        loader: 'worker-loader',
+        include: [resolve('src')],
+        options: {
+          name: utils.assetsPath('js/[name].[hash:7].js')
+        }
+      },
       {
         test: /\.js$/,
         loader: 'babel-loader',
@@ -0,0 +1,91 @@
+/**
+ * Renders frames of one expand/collapse cycle by stepping the `u_frame` uniform
+ * of a pixChart from `minFrameSpan` to `maxFrameSpan`, and reads them back with
+ * `gl.readPixels()`.
+ *
+ * The sequence is designed to loop: the last frame is followed by the first one.
+ */
+var glPixelsToRgba = require('./glPixelsToRgba');
+
+module.exports = captureFrames;
+
+/**
+ * @param {Object} chart - pixChart instance that is loaded and ready to play
+ * @param {Object} options
+ * @param {Number} options.framesPerPhase - how many frames to render for each
+ * phase (collapse or expand) of the animation
+ * @param {Function} options.onFrame - receives `(rgba, frameInfo)` for each frame,
+ * where `rgba` is Uint8ClampedArray with rows from top to bottom, and `frameInfo` is
+ * `{index, width, height, isPhaseEnd}`. `rgba` is reused between frames - copy it
+ * if you need to keep it.
+ * @param {String} [options.background] - css hex color to put behind particles. When
+ * omitted the background is transparent.
+ * @param {Function} [options.onProgress] - receives `(renderedFrames, totalFrames)`
+ * @param {Function} [options.isCancelled] - returns true when rendering should stop
+ *
+ * @returns {Promise} resolved when all frames are rendered.
+ */
+function captureFrames(chart, options) {
+  var info = chart.getAnimationInfo();
+  if (!info) return Promise.reject(new Error('Image is not loaded yet'));
+
+  var framesPerPhase = Math.max(1, Math.round(options.framesPerPhase));
+  var totalFrames = 2 * framesPerPhase;
+  var onProgress = options.onProgress || noop;
+  var isCancelled = options.isCancelled || alwaysFalse;
+
+  var width = info.width;
+  var height = info.height;
+  var glPixels = new Uint8Array(width * height * 4);
+  var rgba = new Uint8ClampedArray(width * height * 4);
+  var frameIndex = 0;
+
+  return new Promise((resolve, reject) => {
+    setTimeout(processNextFrame, 0);
+
+    function processNextFrame() {
+      if (isCancelled()) {
+        reject(new Error('Cancelled'));
+        return;
+      }
+
+      try {
+        renderFrame(frameIndex);
+      } catch (e) {
+        reject(e);
+        return;
+      }
+
+      frameIndex += 1;
+      onProgress(frameIndex, totalFrames);
+
+      if (frameIndex < totalFrames) setTimeout(processNextFrame, 0);
+      else resolve();
+    }
+  });
+
+  function renderFrame(index) {
+    // First phase goes from the initial state to the opposite one (frames 0..N),
+    // and the second phase brings it back (frames N+1..2N-1). Second phase skips its
+    // first and last steps, since they are the same as the last and the first frames
+    // of the first phase.
+    var isSecondPhase = index > framesPerPhase;
+    var step = isSecondPhase ? index - framesPerPhase : index;
+    var frameNumber = info.minFrameSpan + (info.maxFrameSpan - info.minFrameSpan) * step / framesPerPhase;
+    var isExpanding = info.startsCollapsed !== isSecondPhase;
+
+    chart.readFramePixels(frameNumber, isExpanding, glPixels);
+    glPixelsToRgba(glPixels, width, height, options.background, rgba);
+
+    options.onFrame(rgba, {
+      index,
+      width,
+      height,
+      isPhaseEnd: index === 0 || index === framesPerPhase
+    });
+  }
+}
+
+function noop() {}
+
+function alwaysFalse() { return false; }
@@ -0,0 +1,64 @@
+/**
+ * Helpers to label the chart. Shared between the SVG export and the overlay
+ * on top of the collapsed chart.
+ */
+module.exports = {
+  getNiceStep,
+  formatDomainValue,
+  getBucketRangeName,
+  getTextColor
+};
+
+/**
+ * Rounds a step between ticks up to 1, 2 or 5 times a power of ten.
+ */
+function getNiceStep(roughStep) {
+  if (roughStep <= 1) return 1;
+
+  var power = Math.pow(10, Math.floor(Math.log10(roughStep)));
+  var fraction = roughStep / power;
+  if (fraction <= 1) return power;
+  if (fraction <= 2) return 2 * power;
+  if (fraction <= 5) return 5 * power;
+  return 10 * power;
+}
+
+/**
+ * Returns label of a grouping function value at `ratio` (0..1) of its domain.
+ */
+function formatDomainValue(minV, maxV, ratio) {
+  var value = minV + ratio * (maxV - minV);
+  // Regular grouping functions are in [0, 1] range, and Statistics shows them as percents.
+  if (minV === 0 && maxV === 1) return Math.round(value * 100) + '%';
+
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Returns name of the columns from `from` to `to` (inclusive), e.g. `hsl.h 10% .. 25%`.
+ */
+function getBucketRangeName(particles, from, to) {
+  // Palette columns are colors, not ranges.
+  if (particles.palette) {
+    if (from === to) return 'Dominant color ' + (from + 1);
+    return 'Dominant colors ' + (from + 1) + ' .. ' + (to + 1);
+  }
+
+  var bucketsCount = particles.buckets.length;
+  var minV = particles.minVValue, maxV = particles.maxVValue;
+  return particles.groupByFunctionName + ' ' +
+    formatDomainValue(minV, maxV, from/bucketsCount) + ' .. ' +
+    formatDomainValue(minV, maxV, (to + 1)/bucketsCount);
+}
+
+/**
+ * Picks color of the text that is readable on the `background` (hex color).
+ */
+function getTextColor(background) {
+  if (!background || background[0] !== '#') return '#333333';
+
+  var value = Number.parseInt(background.substr(1), 16);
+  var r = (value >> 16) & 0xff, g = (value >> 8) & 0xff, b = value & 0xff;
+  var luma = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  return luma < 128 ? '#ffffff' : '#333333';
+}
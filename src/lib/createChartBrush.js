@@ -0,0 +1,81 @@
+/**
+ * Brush over the collapsed bars chart. Drag horizontally to select a contiguous
+ * range of columns.
+ */
+var createDrag = require('./drag').default;
+var CLICK_DISTANCE = require('./drag').CLICK_DISTANCE;
+
+module.exports = createChartBrush;
+
+/**
+ * @param {DOMElement} owner - element that receives mouse and touch events
+ * @param {Object} options
+ * @param {Function} options.getBucketAt - receives `x` (in pixels of the owner) and
+ * returns column under it, or -1 when columns cannot be selected.
+ * @param {Function} options.onChange - receives `{from, to}` while user drags, and
+ * null when the brush is released or cancelled.
+ * @param {Function} options.onSelect - receives `{from, to}` when user releases the brush.
+ * @param {Function} [options.onClick] - receives `{clientX, clientY}` when user
+ * clicks (or taps) without dragging.
+ */
+function createChartBrush(owner, options) {
+  var dragDistance = 0;
+  var currentX = 0;
+  var startBucket = -1;
+  var selection = null;
+
+  var drag = createDrag(owner, onDrag, onDragStart, onDragEnd, options.onClick);
+
+  return {
+    dispose,
+    cancel
+  };
+
+  function dispose() {
+    cancel();
+    drag.dispose();
+  }
+
+  /**
+   * Drops current selection, e.g. when the chart starts to expand.
+   */
+  function cancel() {
+    startBucket = -1;
+    if (!selection) return;
+
+    selection = null;
+    options.onChange(null);
+  }
+
+  function onDragStart(dragStartPoint) {
+    dragDistance = 0;
+    selection = null;
+    currentX = dragStartPoint.clientX - owner.getBoundingClientRect().left;
+    startBucket = options.getBucketAt(currentX);
+  }
+
+  function onDrag(dx, dy) {
+    dragDistance += Math.abs(dx) + Math.abs(dy);
+    currentX += dx;
+    if (startBucket < 0 || dragDistance < CLICK_DISTANCE) return;
+
+    var endBucket = options.getBucketAt(currentX);
+    if (endBucket < 0) {
+      cancel();
+      return;
+    }
+
+    selection = {
+      from: Math.min(startBucket, endBucket),
+      to: Math.max(startBucket, endBucket)
+    };
+    options.onChange(selection);
+  }
+
+  function onDragEnd() {
+    var selected = selection;
+    cancel();
+
+    if (selected) options.onSelect(selected);
+  }
+}
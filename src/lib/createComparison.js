@@ -0,0 +1,75 @@
+/**
+ * Second chart that follows the main one, so that two images (e.g. before and
+ * after an edit) can be compared. The follower never plays on its own: it
+ * repeats every frame of the main chart.
+ *
+ * Buckets of both charts should mean the same thing, so the second image is
+ * scaled to the pixels count of the first one (keeping its aspect ratio), and it
+ * reuses value ranges and the palette of the main chart.
+ */
+var pixChart = require('../pixchart/index');
+
+module.exports = createComparison;
+
+/**
+ * @param {Object} mainChart - pixChart with loaded particles
+ * @param {String|File} imageLink - image to compare with
+ * @param {Object} config - pixChart options, with canvas of the follower
+ * @param {Function} onLoaded - called when particles of the follower are ready
+ */
+function createComparison(mainChart, imageLink, config, onLoaded) {
+  var mainParticles = mainChart.getParticles();
+  var isLoaded = false;
+  var pendingSync = 0;
+
+  var chart = pixChart(imageLink, Object.assign({}, config, {
+    autoPlay: false,
+    imagePixelsCount: mainParticles.canvas.width * mainParticles.canvas.height,
+    valueRange: {min: mainParticles.minVValue, max: mainParticles.maxVValue},
+    yValueRange: {min: mainParticles.minYVValue, max: mainParticles.maxYVValue},
+    palette: mainParticles.palette
+  }));
+  chart.on('loading-progress', onLoadingProgress);
+
+  return {
+    chart,
+    dispose,
+    sync,
+    isLoaded() {
+      return isLoaded;
+    },
+    getSharedMaxYValue
+  };
+
+  function dispose() {
+    cancelAnimationFrame(pendingSync);
+    chart.off('loading-progress', onLoadingProgress);
+    chart.dispose();
+  }
+
+  /**
+   * Moves the follower to the same point of the animation as the main chart.
+   */
+  function sync() {
+    chart.seek(mainChart.getProgress());
+  }
+
+  /**
+   * Returns height (in rows) of the tallest column of both charts.
+   */
+  function getSharedMaxYValue() {
+    return Math.max(mainParticles.maxYValue, chart.getParticles().maxYValue);
+  }
+
+  function onLoadingProgress(progress) {
+    if (progress.step !== 'done') return;
+
+    isLoaded = true;
+    // Particles are ready, but they are not on the screen yet. Next frame will have them.
+    pendingSync = requestAnimationFrame(() => {
+      pendingSync = 0;
+      sync();
+      onLoaded();
+    });
+  }
+}
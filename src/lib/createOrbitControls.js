@@ -0,0 +1,139 @@
+/**
+ * Orbit camera for the 3D layout. Drag to rotate, use mouse wheel or pinch to zoom.
+ * When auto-rotate is enabled, the camera slowly turns while nobody drags it.
+ */
+var createDrag = require('./drag').default;
+
+var ROTATE_SPEED = 0.01; // radians per dragged pixel
+var AUTO_ROTATE_SPEED = 0.003; // radians per animation frame
+var MIN_ZOOM = 0.3;
+var MAX_ZOOM = 5;
+var MAX_PITCH = Math.PI / 2;
+
+module.exports = createOrbitControls;
+
+/**
+ * @param {DOMElement} owner - element that receives mouse and touch events
+ * @param {Object} options
+ * @param {Object} options.camera - initial camera `{yaw, pitch, zoom}`
+ * @param {Function} options.onChange - receives camera every time it changes
+ * @param {Function} [options.onClick] - receives `{clientX, clientY}` when user
+ * clicks (or taps) without dragging.
+ * @param {Boolean} [options.autoRotate] - whether camera should turn on its own
+ */
+function createOrbitControls(owner, options) {
+  var camera = Object.assign({}, options.camera);
+  var autoRotate = !!options.autoRotate;
+  var isDragging = false;
+  var pinchDistance = 0;
+  var autoRotateFrame = 0;
+
+  owner.addEventListener('touchstart', onTouchStart);
+  owner.addEventListener('wheel', onWheel);
+  var drag = createDrag(owner, onDrag, onDragStart, onDragEnd, options.onClick);
+
+  if (autoRotate) scheduleAutoRotate();
+
+  return {
+    dispose,
+    setAutoRotate,
+    getCamera
+  };
+
+  function getCamera() {
+    return Object.assign({}, camera);
+  }
+
+  function setAutoRotate(isEnabled) {
+    autoRotate = isEnabled;
+    if (autoRotate) scheduleAutoRotate();
+    else stopAutoRotate();
+  }
+
+  function dispose() {
+    stopAutoRotate();
+    drag.dispose();
+    releasePinch();
+    owner.removeEventListener('touchstart', onTouchStart);
+    owner.removeEventListener('wheel', onWheel);
+  }
+
+  function onTouchStart(e) {
+    if (e.touches.length === 2) {
+      // Second finger turns rotation into zoom.
+      pinchDistance = getPinchDistance(e.touches);
+      document.addEventListener('touchmove', onPinchMove);
+      document.addEventListener('touchend', onPinchEnd);
+      document.addEventListener('touchcancel', onPinchEnd);
+    }
+  }
+
+  function onPinchMove(e) {
+    if (e.touches.length !== 2) return;
+
+    var newDistance = getPinchDistance(e.touches);
+    if (pinchDistance > 0) zoomBy(newDistance / pinchDistance);
+    pinchDistance = newDistance;
+  }
+
+  function onPinchEnd(e) {
+    if (e.touches.length < 2) releasePinch();
+  }
+
+  function releasePinch() {
+    pinchDistance = 0;
+    document.removeEventListener('touchmove', onPinchMove);
+    document.removeEventListener('touchend', onPinchEnd);
+    document.removeEventListener('touchcancel', onPinchEnd);
+  }
+
+  function onWheel(e) {
+    e.preventDefault();
+    zoomBy(Math.exp(-e.deltaY * 0.001));
+  }
+
+  function zoomBy(scale) {
+    camera.zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, camera.zoom * scale));
+    options.onChange(getCamera());
+  }
+
+  function onDragStart() {
+    isDragging = true;
+  }
+
+  function onDrag(dx, dy) {
+    camera.yaw += dx * ROTATE_SPEED;
+    camera.pitch = Math.max(-MAX_PITCH, Math.min(MAX_PITCH, camera.pitch + dy * ROTATE_SPEED));
+    options.onChange(getCamera());
+  }
+
+  function onDragEnd() {
+    isDragging = false;
+  }
+
+  function scheduleAutoRotate() {
+    if (!autoRotateFrame) autoRotateFrame = requestAnimationFrame(rotate);
+  }
+
+  function stopAutoRotate() {
+    cancelAnimationFrame(autoRotateFrame);
+    autoRotateFrame = 0;
+  }
+
+  function rotate() {
+    autoRotateFrame = 0;
+    if (!autoRotate) return;
+
+    if (!isDragging) {
+      camera.yaw += AUTO_ROTATE_SPEED;
+      options.onChange(getCamera());
+    }
+    scheduleAutoRotate();
+  }
+}
+
+function getPinchDistance(touches) {
+  var dx = touches[0].clientX - touches[1].clientX;
+  var dy = touches[0].clientY - touches[1].clientY;
+  return Math.sqrt(dx * dx + dy * dy);
+}
@@ -0,0 +1,129 @@
+/**
+ * Small multiples: the image of the main chart is shown in a grid of charts,
+ * each one grouped by its own function. Cells reuse the decoded image of the
+ * main chart, and repeat its frames, so that all of them share one animation clock.
+ *
+ * The main chart is the first cell of the grid. Other cells get their own canvases.
+ */
+var pixChart = require('../pixchart/index');
+
+module.exports = createSmallMultiples;
+
+/**
+ * @param {Object} mainChart - pixChart with loaded particles
+ * @param {Array<String>} groupBys - grouping functions of the other cells
+ * @param {Object} config - pixChart options of the main chart
+ * @param {Function} onCellLoaded - called when particles of a cell are ready
+ */
+function createSmallMultiples(mainChart, groupBys, config, onCellLoaded) {
+  var mainCanvas = config.canvas;
+  var pendingSync = 0;
+  var cells = groupBys.map(createCell);
+
+  return {
+    dispose,
+    sync,
+    setCellSize,
+    getCharts() {
+      return cells.map(cell => cell.chart);
+    },
+    getCellRects
+  };
+
+  function createCell(groupBy) {
+    var canvas = document.createElement('canvas');
+    canvas.className = 'small-multiple';
+    mainCanvas.parentNode.insertBefore(canvas, mainCanvas.nextSibling);
+
+    var chart = pixChart(mainChart.imageLink, Object.assign({}, config, {
+      canvas,
+      colorGroupBy: groupBy,
+      // Buckets of other groupings have different meaning
+      yGroupBy: null,
+      ignoredBuckets: null,
+      autoPlay: false,
+      sharedImage: mainChart.getImage()
+    }));
+    chart.on('loading-progress', onLoadingProgress);
+
+    return {
+      chart,
+      canvas,
+      left: 0,
+      top: 0,
+      width: 0,
+      height: 0
+    };
+  }
+
+  function dispose() {
+    cancelAnimationFrame(pendingSync);
+    cells.forEach(cell => {
+      cell.chart.off('loading-progress', onLoadingProgress);
+      cell.chart.dispose();
+      cell.canvas.parentNode.removeChild(cell.canvas);
+    });
+    cells = [];
+  }
+
+  /**
+   * Moves all cells to the same point of the animation as the main chart.
+   */
+  function sync() {
+    var t = mainChart.getProgress();
+    cells.forEach(cell => cell.chart.seek(t));
+  }
+
+  /**
+   * Places cells into a grid with given number of columns. The main chart takes
+   * the top left cell.
+   */
+  function setCellSize(width, height, columns) {
+    cells.forEach((cell, index) => {
+      var cellIndex = index + 1;
+      cell.left = (cellIndex % columns) * width;
+      cell.top = Math.floor(cellIndex / columns) * height;
+      cell.width = width;
+      cell.height = height;
+      cell.canvas.style.marginLeft = cell.left + 'px';
+      cell.canvas.style.marginTop = cell.top + 'px';
+      cell.chart.setSceneSize(width, height);
+    });
+  }
+
+  /**
+   * Returns name of the grouping and position (in pixels of the main canvas) of
+   * every cell, including the main one. Cells that are still loading have no name.
+   */
+  function getCellRects() {
+    var mainParticles = mainChart.getParticles();
+    var rects = [{
+      name: mainParticles ? mainParticles.groupByFunctionName : '',
+      left: 0,
+      top: 0
+    }];
+
+    cells.forEach(cell => {
+      var particles = cell.chart.getParticles();
+      rects.push({
+        name: particles ? particles.groupByFunctionName : '',
+        left: cell.left,
+        top: cell.top
+      });
+    });
+
+    return rects;
+  }
+
+  function onLoadingProgress(progress) {
+    if (progress.step !== 'done') return;
+
+    // Particles are ready, but they are not on the screen yet. Next frame will have them.
+    cancelAnimationFrame(pendingSync);
+    pendingSync = requestAnimationFrame(() => {
+      pendingSync = 0;
+      sync();
+      onCellLoaded();
+    });
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * Creates a `MediaStream` from an animated canvas. It can be used instead of a
+ * camera to test live input without any hardware (`?camera=synthetic`).
+ */
+var WIDTH = 640;
+var HEIGHT = 480;
+var FPS = 30;
+
+module.exports = createSyntheticStream;
+
+function createSyntheticStream() {
+  var canvas = document.createElement('canvas');
+  canvas.width = WIDTH;
+  canvas.height = HEIGHT;
+  if (!canvas.captureStream) throw new Error('This browser cannot capture a canvas stream');
+
+  var ctx = canvas.getContext('2d');
+  var startTime = performance.now();
+  var stream = canvas.captureStream(FPS);
+  var track = stream.getVideoTracks()[0];
+
+  // Timers keep running in background tabs (unlike requestAnimationFrame),
+  // so the stream never freezes.
+  var intervalHandle = setInterval(drawFrame, 1000 / FPS);
+  drawFrame();
+
+  return stream;
+
+  function drawFrame() {
+    if (track.readyState === 'ended') {
+      // Stream was stopped by the consumer.
+      clearInterval(intervalHandle);
+      return;
+    }
+
+    var t = (performance.now() - startTime) / 1000;
+    var background = ctx.createLinearGradient(0, 0, WIDTH, HEIGHT);
+    background.addColorStop(0, `hsl(${(t * 20) % 360}, 60%, 20%)`);
+    background.addColorStop(1, `hsl(${(t * 20 + 180) % 360}, 60%, 70%)`);
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, WIDTH, HEIGHT);
+
+    for (var i = 0; i < 5; ++i) {
+      var phase = t * (0.3 + i * 0.1) + i;
+      ctx.fillStyle = `hsl(${i * 72}, 80%, 55%)`;
+      ctx.beginPath();
+      ctx.arc(
+        WIDTH * (0.5 + 0.35 * Math.cos(phase)),
+        HEIGHT * (0.5 + 0.35 * Math.sin(phase * 1.3)),
+        30 + 20 * i, 0, 2 * Math.PI
+      );
+      ctx.fill();
+    }
+  }
+}
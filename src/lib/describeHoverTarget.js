@@ -0,0 +1,69 @@
+/**
+ * Turns what is under the mouse (see `pixChart.pick()`) into a tooltip content:
+ * a title, a color swatch and a list of `{name, value}` rows.
+ */
+var formatNumber = require('./formatNumber');
+var chartLabels = require('./chartLabels');
+var rgbToHsl = require('../pixchart/lib/colors').rgbToHsl;
+
+module.exports = describeHoverTarget;
+
+function describeHoverTarget(particles, target) {
+  if (target.type === 'bucket') return describeBucket(particles, target.bucketNumber);
+
+  return describePixel(particles, target);
+}
+
+function describeBucket(particles, bucketNumber) {
+  var count = particles.buckets[bucketNumber];
+  var pixelsCount = particles.particleAttributes.length/4;
+  var color = getBucketColor(particles, bucketNumber);
+
+  return {
+    title: chartLabels.getBucketRangeName(particles, bucketNumber, bucketNumber),
+    color,
+    rows: [
+      { name: 'Count', value: formatNumber(count) },
+      { name: 'Share', value: (100 * count/pixelsCount).toFixed(2) + '%' },
+      { name: 'Average color', value: color }
+    ]
+  };
+}
+
+function describePixel(particles, pixel) {
+  var r = pixel.r, g = pixel.g, b = pixel.b;
+  var h = Math.round(360 * rgbToHsl(r, g, b, 0));
+  var s = Math.round(100 * rgbToHsl(r, g, b, 1));
+  var l = Math.round(100 * rgbToHsl(r, g, b, 2));
+
+  return {
+    title: 'Pixel ' + pixel.x + ', ' + pixel.y,
+    color: toHex(r, g, b),
+    rows: [
+      { name: 'RGB', value: r + ', ' + g + ', ' + b },
+      { name: 'HSL', value: h + '°, ' + s + '%, ' + l + '%' },
+      { name: 'Bucket', value: getPixelBucketName(particles, pixel.bucketNumber) }
+    ]
+  };
+}
+
+function getPixelBucketName(particles, bucketNumber) {
+  if (bucketNumber < 0) return 'Filtered out';
+
+  var name = chartLabels.getBucketRangeName(particles, bucketNumber, bucketNumber);
+  // In the highlight mode filtered pixels are still on the screen.
+  var isFiltered = particles.ignoredBuckets && particles.ignoredBuckets.has(bucketNumber);
+  return isFiltered ? name + ' (filtered out)' : name;
+}
+
+function getBucketColor(particles, bucketNumber) {
+  var colors = particles.bucketAverageColors;
+  return toHex(colors[bucketNumber * 3], colors[bucketNumber * 3 + 1], colors[bucketNumber * 3 + 2]);
+}
+
+function toHex(r, g, b) {
+  return '#' + [r, g, b].map(x => {
+    var hex = x.toString(16);
+    return hex.length < 2 ? '0' + hex : hex;
+  }).join('');
+}
@@ -0,0 +1,18 @@
+/**
+ * Saves a blob to the user's device under a given file name.
+ */
+module.exports = downloadBlob;
+
+function downloadBlob(blob, fileName) {
+  var url = window.URL.createObjectURL(blob);
+  var link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Give browser some time to start the download before we release the blob.
+  setTimeout(() => window.URL.revokeObjectURL(url), 1000);
+}
@@ -4,16 +4,27 @@
  */
 const preventTextSelection = createTextSelectionInterceptor();
 
+// Drags shorter than this (in pixels) are treated as clicks.
+export const CLICK_DISTANCE = 4;
+
 /**
  * @param {DOMElement} owner that triggers dragging behavior
  * @param {Function(dx, dy)} onDrag called when user drags an element. It receives
  * related offsets dx, dy - by how far the element was moved compared to last time.
+ * @param {Function} [onDragStart] called when user starts dragging. It receives
+ * `{clientX, clientY}` of the pointer.
+ * @param {Function} [onDragEnd] called when user releases the mouse or the last finger.
+ * @param {Function} [onClick] called after `onDragEnd` when the pointer barely moved.
+ * It receives `{clientX, clientY}` where dragging started. Multi-touch gestures are
+ * never clicks.
  */
-export default function createDrag(owner, onDrag, onDragStart) {
+export default function createDrag(owner, onDrag, onDragStart, onDragEnd, onClick) {
   let overlay;
   let mouseX;
   let mouseY;
   let touchInProgress = false;
+  let dragStartPoint;
+  let dragDistance = 0;
 
   if (owner) listenForEvents();
 
@@ -96,6 +107,7 @@ export default function createDrag(owner, onDrag, onDragStart) {
     mouseX = e.clientX;
     mouseY = e.clientY;
 
+    dragDistance += Math.abs(dx) + Math.abs(dy);
     onDrag(dx, dy);
   }
 
@@ -115,6 +127,8 @@ export default function createDrag(owner, onDrag, onDragStart) {
     if (e.touches.length === 1) {
       return handleSignleFingerTouch(e, e.touches[0]);
     }
+    // E.g. a pinch. Whatever happens next, it is not a click.
+    dragDistance = Number.POSITIVE_INFINITY;
   }
 
   function handleSignleFingerTouch(e) {
@@ -167,14 +181,20 @@ export default function createDrag(owner, onDrag, onDragStart) {
 
     mouseX = touch.clientX;
     mouseY = touch.clientY;
+    dragDistance += Math.abs(dx) + Math.abs(dy);
     onDrag(dx, dy);
   }
 
   function triggerDragStart() {
-    if (onDragStart) onDragStart();
+    dragStartPoint = {clientX: mouseX, clientY: mouseY};
+    dragDistance = 0;
+    if (onDragStart) onDragStart(dragStartPoint);
   }
 
   function triggerPanEnd() {
+    if (onDragEnd) onDragEnd();
+    // Dragging captures the mouse, so the element never sees the click itself.
+    if (onClick && dragDistance < CLICK_DISTANCE) onClick(dragStartPoint);
   }
 }
 
@@ -0,0 +1,58 @@
+/**
+ * Converts pixels that we get from `gl.readPixels()` into regular RGBA pixels,
+ * that can be put onto a 2d canvas.
+ *
+ * WebGL gives rows from bottom to top, and colors premultiplied by alpha. This
+ * function flips rows, and either puts particles over the `background` color,
+ * or keeps them transparent when `background` is omitted.
+ */
+module.exports = glPixelsToRgba;
+
+/**
+ * @param {Uint8Array} src - pixels from `gl.readPixels()`
+ * @param {Number} width
+ * @param {Number} height
+ * @param {String} [background] - css hex color, e.g. `#13294F`
+ * @param {Uint8ClampedArray} [dst] - optional array to store results
+ *
+ * @returns {Uint8ClampedArray}
+ */
+function glPixelsToRgba(src, width, height, background, dst) {
+  if (!dst) dst = new Uint8ClampedArray(width * height * 4);
+  var color = background ? parseColor(background) : null;
+
+  var rowLength = width * 4;
+  for (var y = 0; y < height; ++y) {
+    var srcOffset = (height - y - 1) * rowLength;
+    var dstOffset = y * rowLength;
+    for (var x = 0; x < rowLength; x += 4) {
+      var i = srcOffset + x, j = dstOffset + x;
+      var alpha = src[i + 3];
+      if (color) {
+        var remainder = 1 - alpha / 255;
+        dst[j + 0] = src[i + 0] + color.r * remainder;
+        dst[j + 1] = src[i + 1] + color.g * remainder;
+        dst[j + 2] = src[i + 2] + color.b * remainder;
+        dst[j + 3] = 255;
+      } else if (alpha > 0) {
+        dst[j + 0] = src[i + 0] * 255 / alpha;
+        dst[j + 1] = src[i + 1] * 255 / alpha;
+        dst[j + 2] = src[i + 2] * 255 / alpha;
+        dst[j + 3] = alpha;
+      } else {
+        dst[j + 0] = dst[j + 1] = dst[j + 2] = dst[j + 3] = 0;
+      }
+    }
+  }
+
+  return dst;
+}
+
+function parseColor(hexColor) {
+  var value = Number.parseInt(hexColor.replace('#', ''), 16);
+  return {
+    r: (value >> 16) & 0xff,
+    g: (value >> 8) & 0xff,
+    b: value & 0xff
+  };
+}
@@ -0,0 +1,129 @@
+/**
+ * Computes axes of the collapsed chart: ticks along both axes, color strip
+ * under the x axis and names of the axes. Positions are in [0, 1] range of
+ * the chart area, with y going up.
+ */
+var formatNumber = require('./formatNumber');
+var chartLabels = require('./chartLabels');
+var yScales = require('../pixchart/lib/yScales');
+var filterModes = require('../pixchart/lib/filterModes');
+
+var X_TICKS_COUNT = 4;
+var Y_TICKS_COUNT = 4;
+
+module.exports = makeChartAxes;
+
+/**
+ * @param {Object} particles - result of the `loadParticles()`
+ * @param {String} [yScale] - scale of the y axis (see yScales.js)
+ * @param {Number} [maxYValue] - top of the y axis (in rows), when it is shared with
+ * another chart.
+ * @param {Object} [filter] - how ignored buckets are rendered: `{mode, dimmedAlpha}`
+ * (see filterModes.js). Defaults to the filter mode of the `particles`.
+ */
+function makeChartAxes(particles, yScale, maxYValue, filter) {
+  var isJoint = !!particles.yGroupByFunctionName;
+  if (typeof maxYValue !== 'number') maxYValue = particles.maxYValue;
+
+  return {
+    xTicks: getXTicks(),
+    yTicks: isJoint ? getJointYTicks() : getCountTicks(),
+    colors: getColorStrip(),
+    xName: particles.groupByFunctionName,
+    yName: isJoint ? particles.yGroupByFunctionName : (yScale === 'percent' ? 'Share of pixels' : 'Pixels')
+  };
+
+  function getXTicks() {
+    // Palette columns are colors, so the color strip labels them.
+    if (particles.palette) return [];
+
+    var ticks = [];
+    for (var i = 0; i <= X_TICKS_COUNT; ++i) {
+      var position = i / X_TICKS_COUNT;
+      ticks.push({
+        position,
+        label: chartLabels.formatDomainValue(particles.minVValue, particles.maxVValue, position)
+      });
+    }
+    return ticks;
+  }
+
+  function getJointYTicks() {
+    var ticks = [];
+    for (var i = 0; i <= Y_TICKS_COUNT; ++i) {
+      var position = i / Y_TICKS_COUNT;
+      ticks.push({
+        position,
+        label: chartLabels.formatDomainValue(particles.minYVValue, particles.maxYVValue, position)
+      });
+    }
+    return ticks;
+  }
+
+  function getCountTicks() {
+    var bucketWidth = particles.bucketWidth;
+    var scaledMax = yScales.getScaledMax(yScale, particles, maxYValue);
+    var ticks = [];
+
+    if (yScale === 'percent') {
+      var top = yScales.getPercentAxisTop(particles, maxYValue);
+      var percentStep = chartLabels.getNiceStep(top / Y_TICKS_COUNT);
+      for (var percent = 0; percent <= top; percent += percentStep) {
+        ticks.push({ position: percent / top, label: percent + '%' });
+      }
+      return ticks;
+    }
+
+    getCountTickValues().forEach(count => {
+      var position = yScales.scaleHeight(yScale, count / bucketWidth) / scaledMax;
+      if (position <= 1) ticks.push({ position, label: formatNumber(count) });
+    });
+    return ticks;
+  }
+
+  function getCountTickValues() {
+    var maxCount = maxYValue * particles.bucketWidth;
+    var values = [0];
+    if (yScale === 'log') {
+      // Log scale gets ticks at powers of ten.
+      for (var power = 1; power <= maxCount; power *= 10) values.push(power);
+      return values;
+    }
+
+    var step = chartLabels.getNiceStep(maxCount / Y_TICKS_COUNT);
+    for (var count = step; count <= maxCount; count += step) values.push(count);
+    return values;
+  }
+
+  function getColorStrip() {
+    var buckets = particles.buckets;
+    var bucketsCount = buckets.length;
+    var averageColors = particles.bucketAverageColors;
+    var ignoredBuckets = particles.ignoredBuckets;
+    // Particles loaded in the hide mode are gone, whatever the current mode is.
+    var filterMode = filter && filterModes.keepsIgnoredParticles(particles.filterMode) ?
+      filter.mode : particles.filterMode;
+    var dimmedAlpha = filter ? filter.dimmedAlpha : filterModes.DEFAULT_DIMMED_ALPHA;
+    var strip = [];
+
+    for (var i = 0; i < bucketsCount; ++i) {
+      if (buckets[i] === 0) continue;
+
+      // Dimmed and grayscale columns are still on the screen, so they stay in the strip.
+      var isIgnored = !!(ignoredBuckets && ignoredBuckets.has(i));
+      var style = filterModes.getColumnStyle(
+        averageColors[i * 3], averageColors[i * 3 + 1], averageColors[i * 3 + 2],
+        isIgnored, filterMode, dimmedAlpha
+      );
+      if (!style) continue;
+
+      strip.push({
+        position: i / bucketsCount,
+        width: 1 / bucketsCount,
+        color: style.color,
+        opacity: style.opacity
+      });
+    }
+    return strip;
+  }
+}
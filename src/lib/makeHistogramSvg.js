@@ -0,0 +1,141 @@
+/**
+ * Builds a vector (SVG) version of the collapsed chart. Each bucket becomes a bar,
+ * filled with the average color of its pixels.
+ */
+var chartLabels = require('./chartLabels');
+var makeChartAxes = require('./makeChartAxes');
+var yScales = require('../pixchart/lib/yScales');
+var filterModes = require('../pixchart/lib/filterModes');
+
+var DEFAULT_CHART_WIDTH = 800;
+var X_TICKS_COUNT = 4;
+
+module.exports = makeHistogramSvg;
+
+/**
+ * @param {Object} particles - result of the `loadParticles()`
+ * @param {Object} [options]
+ * @param {Boolean} [options.showAxes] - whether to render axes with tick labels
+ * @param {String} [options.title] - title of the chart
+ * @param {String} [options.background] - css color of the background. Transparent when omitted
+ * @param {Number} [options.width] - width of the plot area. Height follows the image
+ * aspect ratio, same as in the collapsed state on the screen.
+ * @param {String} [options.yScale] - scale of the y axis (see yScales.js)
+ * @param {Object} [options.filter] - how ignored buckets are rendered (see makeChartAxes.js)
+ *
+ * @returns {String} SVG document
+ */
+function makeHistogramSvg(particles, options) {
+  options = options || {};
+
+  var buckets = particles.buckets;
+  var bucketsCount = buckets.length;
+  var averageColors = particles.bucketAverageColors;
+  var ignoredBuckets = particles.ignoredBuckets;
+  // Particles loaded in the hide mode are gone, whatever the current mode is.
+  var filterMode = options.filter && filterModes.keepsIgnoredParticles(particles.filterMode) ?
+    options.filter.mode : particles.filterMode;
+  var dimmedAlpha = options.filter ? options.filter.dimmedAlpha : filterModes.DEFAULT_DIMMED_ALPHA;
+  var yScale = options.yScale;
+  // Bars follow the same scale as columns of the chart on the screen.
+  var scaledMax = yScales.getScaledMax(yScale, particles);
+
+  var chartWidth = options.width || DEFAULT_CHART_WIDTH;
+  var chartHeight = Math.round(chartWidth * particles.canvas.height / particles.canvas.width);
+  var showAxes = !!options.showAxes;
+  var textColor = chartLabels.getTextColor(options.background);
+
+  var margin = {
+    left: showAxes ? 80 : 10,
+    right: showAxes ? 30 : 10,
+    top: options.title ? 50 : 10,
+    bottom: showAxes ? 60 : 10
+  };
+  var width = chartWidth + margin.left + margin.right;
+  var height = chartHeight + margin.top + margin.bottom;
+
+  var svg = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif">`
+  ];
+  if (options.background) {
+    svg.push(`<rect width="${width}" height="${height}" fill="${options.background}"/>`);
+  }
+  if (options.title) {
+    svg.push(`<text x="${width/2}" y="${margin.top/2 + 8}" text-anchor="middle" font-size="20" fill="${textColor}">${escapeXml(options.title)}</text>`);
+  }
+
+  svg.push(`<g transform="translate(${margin.left}, ${margin.top})">`);
+  appendBars();
+  if (showAxes) {
+    appendXAxis();
+    appendYAxis();
+  }
+  svg.push('</g>', '</svg>');
+
+  return svg.join('\n');
+
+  function appendBars() {
+    var barWidth = chartWidth / bucketsCount;
+    svg.push('<g shape-rendering="crispEdges">');
+    for (var i = 0; i < bucketsCount; ++i) {
+      var count = buckets[i];
+      if (count === 0) continue;
+
+      // Dimmed and grayscale bars are exported as they look on the screen.
+      var isIgnored = !!(ignoredBuckets && ignoredBuckets.has(i));
+      var style = filterModes.getColumnStyle(
+        averageColors[i * 3], averageColors[i * 3 + 1], averageColors[i * 3 + 2],
+        isIgnored, filterMode, dimmedAlpha
+      );
+      if (!style) continue;
+
+      var barHeight = chartHeight * Math.min(1, yScales.scaleHeight(yScale, count / particles.bucketWidth) / scaledMax);
+      var opacity = style.opacity < 1 ? ` fill-opacity="${style.opacity}"` : '';
+      svg.push(`<rect x="${round(i * barWidth)}" y="${round(chartHeight - barHeight)}" width="${round(barWidth)}" height="${round(barHeight)}" fill="${style.color}"${opacity}/>`);
+    }
+    svg.push('</g>');
+  }
+
+  function appendXAxis() {
+    svg.push(`<g fill="${textColor}" stroke="${textColor}" font-size="12">`);
+    svg.push(`<line x1="0" y1="${chartHeight}" x2="${chartWidth}" y2="${chartHeight}"/>`);
+    // Palette columns are colors, not a range of values, so bars speak for themselves.
+    var ticksCount = particles.palette ? -1 : X_TICKS_COUNT;
+    for (var i = 0; i <= ticksCount; ++i) {
+      var x = round(chartWidth * i / X_TICKS_COUNT);
+      svg.push(`<line x1="${x}" y1="${chartHeight}" x2="${x}" y2="${chartHeight + 6}"/>`);
+      svg.push(`<text x="${x}" y="${chartHeight + 20}" text-anchor="middle" stroke="none">${getXTickLabel(i / X_TICKS_COUNT)}</text>`);
+    }
+    svg.push(`<text x="${chartWidth/2}" y="${chartHeight + 46}" text-anchor="middle" font-size="14" stroke="none">${escapeXml(particles.groupByFunctionName)}</text>`);
+    svg.push('</g>');
+  }
+
+  function appendYAxis() {
+    var axes = makeChartAxes(particles, yScale, undefined, options.filter);
+    svg.push(`<g fill="${textColor}" stroke="${textColor}" font-size="12">`);
+    svg.push(`<line x1="0" y1="0" x2="0" y2="${chartHeight}"/>`);
+    axes.yTicks.forEach(tick => {
+      var y = round(chartHeight - chartHeight * tick.position);
+      svg.push(`<line x1="-6" y1="${y}" x2="0" y2="${y}"/>`);
+      svg.push(`<text x="-10" y="${y + 4}" text-anchor="end" stroke="none">${escapeXml(tick.label)}</text>`);
+    });
+    svg.push(`<text transform="translate(-64, ${chartHeight/2}) rotate(-90)" text-anchor="middle" font-size="14" stroke="none">${escapeXml(axes.yName)}</text>`);
+    svg.push('</g>');
+  }
+
+  function getXTickLabel(ratio) {
+    return chartLabels.formatDomainValue(particles.minVValue, particles.maxVValue, ratio);
+  }
+}
+
+function round(x) {
+  return Math.round(x * 100) / 100;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -1,24 +1,45 @@
 
+var yScales = require('../pixchart/lib/yScales');
+
 module.exports = makeStats;
 
-function makeStats(particles) {
+/**
+ * @param {Object} particles - result of the particles processing
+ * @param {String} [yScale] - scale of the y axis, so that ratios match heights of columns.
+ * @param {Object} [compareParticles] - particles of the second image, when two images
+ * are compared. Each bucket then gets `compareCount` and `delta` between the images.
+ */
+function makeStats(particles, yScale, compareParticles) {
   var buckets = particles.buckets;
+  var compareBuckets = compareParticles ? compareParticles.buckets : null;
   var n = buckets.length;
   var sortedBuckets = [];
   var ignoredBuckets = particles.ignoredBuckets;
+  // In the joint histogram y axis is taken by another grouping function, not by counts.
+  var isJoint = !!particles.yGroupByFunctionName;
+  // Compared charts share the y axis.
+  var maxYValue = compareParticles ? Math.max(particles.maxYValue, compareParticles.maxYValue) : particles.maxYValue;
+  var maxCount = isJoint ? getMaxCount(buckets) : maxYValue * particles.bucketWidth;
+  var scaledMax = yScales.getScaledMax(yScale, particles, maxYValue);
 
   for (var i = 0; i < n; ++i) {
     var count = buckets[i];
-    if (count === 0) continue;
+    var compareCount = compareBuckets ? compareBuckets[i] : 0;
+    if (count === 0 && compareCount === 0) continue;
     var isFiltered = ignoredBuckets && ignoredBuckets.has(i);
 
-    sortedBuckets.push({
+    var bucket = {
       bucketNumber: i,
       id: i/n,
       count: isFiltered ? 0 : buckets[i],
       isFiltered,
-      ratio: 100 * buckets[i]/(particles.maxYValue * particles.bucketWidth)
-    });
+      ratio: isJoint ? 100 * buckets[i]/maxCount : getScaledRatio(buckets[i])
+    };
+    if (compareBuckets) {
+      bucket.compareCount = isFiltered ? 0 : compareCount;
+      bucket.delta = bucket.compareCount - bucket.count;
+    }
+    sortedBuckets.push(bucket);
   }
 
   sortedBuckets.sort((b, a) => {
@@ -26,9 +47,27 @@ function makeStats(particles) {
   });
 
   return {
+    yScale: yScale || 'linear',
     step: 1/n,
     isFiltered: ignoredBuckets && ignoredBuckets.size > 0,
     buckets: sortedBuckets,
+    isJoint,
+    hasComparison: !!compareBuckets,
+    // When pixels are grouped by dominant colors, each bucket is a palette entry.
+    palette: particles.palette,
     name: particles.groupByFunctionName + ' bucket '
   }
+
+  function getScaledRatio(count) {
+    // Same math as the vertex shader uses for height of a column.
+    return 100 * yScales.scaleHeight(yScale, count/particles.bucketWidth)/scaledMax;
+  }
+}
+
+function getMaxCount(buckets) {
+  var maxCount = 0;
+  for (var i = 0; i < buckets.length; ++i) {
+    if (buckets[i] > maxCount) maxCount = buckets[i];
+  }
+  return maxCount;
 }
\ No newline at end of file
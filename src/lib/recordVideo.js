@@ -0,0 +1,187 @@
+/**
+ * Records one expand/collapse cycle of a pixChart into a WebM video.
+ *
+ * We do not rely on wall clock here. Instead pixChart is driven by a virtual
+ * clock, that runs the animation as fast as we can encode frames. This way
+ * the video is smooth, even if the machine cannot render frames in real time.
+ */
+var WebMWriter = require('webm-writer');
+
+// pixChart advances one animation step per animation frame, which is assumed to be 60fps.
+var ANIMATION_STEPS_PER_SECOND = 60;
+
+// How long we are allowed to keep the UI thread busy before yielding.
+var MAX_THREAD_TIME_MS = 32;
+
+module.exports = recordVideo;
+
+/**
+ * @param {Object} chart - pixChart instance that is loaded and ready to play
+ * @param {HTMLCanvasElement} canvas - the canvas where `chart` renders its frames
+ * @param {Object} options
+ * @param {Number} options.fps - frame rate of the video
+ * @param {Number} [options.quality] - WebP quality of each frame from 0 to 1
+ * @param {String} [options.background] - css color to put behind particles. WebP frames
+ * turn transparent pixels black, so the background should be given.
+ * @param {Function} [options.onProgress] - receives number of recorded frames
+ * @param {Function} [options.isCancelled] - returns true when recording should stop
+ *
+ * @returns {Promise<Blob>} that resolves with the recorded video.
+ */
+function recordVideo(chart, canvas, options) {
+  var fps = options.fps || 30;
+  var quality = options.quality || 0.95;
+  var onProgress = options.onProgress || noop;
+  var isCancelled = options.isCancelled || alwaysFalse;
+
+  if (!canEncodeWebP(canvas)) {
+    return Promise.reject(new Error('This browser cannot encode WebP frames. Try Chrome?'));
+  }
+
+  // Frames are put over the background here, since the WebGL canvas is transparent.
+  var frameCanvas = options.background ? document.createElement('canvas') : null;
+  var writer = new WebMWriter({ quality, frameRate: fps });
+  var framesWritten = 0;
+  var animationTime = 0; // in seconds
+  var lastFrame;
+  var isDone = false;
+
+  // Only one callback can be pending at any time in pixChart
+  var pendingFrame = null;
+  var pendingTimeout = null;
+
+  var virtualClock = {
+    requestAnimationFrame(callback) {
+      pendingFrame = callback;
+      return 1;
+    },
+    cancelAnimationFrame() {
+      pendingFrame = null;
+    },
+    setTimeout(callback, delay) {
+      pendingTimeout = { callback, delay };
+      return 1;
+    },
+    clearTimeout() {
+      pendingTimeout = null;
+    },
+    now() {
+      return animationTime * 1000;
+    }
+  };
+
+  return new Promise((resolve, reject) => {
+    chart.on('cycle-complete', onCycleComplete);
+    chart.setClock(virtualClock);
+    chart.rewind();
+    lastFrame = captureFrame();
+    chart.restartCycle();
+
+    setTimeout(processFrames, 0);
+
+    function processFrames() {
+      if (isCancelled()) {
+        cleanUp();
+        reject(new Error('Cancelled'));
+        return;
+      }
+
+      var pendingLoad = null;
+      try {
+        var start = performance.now();
+        while (!isDone && performance.now() - start < MAX_THREAD_TIME_MS) {
+          // Video files load their next frame asynchronously. Wait for it.
+          pendingLoad = chart.getPendingLoad();
+          if (pendingLoad) break;
+
+          step();
+        }
+      } catch (e) {
+        cleanUp();
+        reject(e);
+        return;
+      }
+
+      onProgress(framesWritten);
+
+      if (isDone) {
+        cleanUp();
+        writer.complete().then(resolve, reject);
+      } else if (pendingLoad) {
+        pendingLoad.then(() => setTimeout(processFrames, 0));
+      } else {
+        setTimeout(processFrames, 0);
+      }
+    }
+  });
+
+  function step() {
+    if (pendingFrame) {
+      var callback = pendingFrame;
+      pendingFrame = null;
+      callback();
+      // The canvas content is only guaranteed to be there until we yield, so capture it right away.
+      lastFrame = captureFrame();
+      advanceTo(animationTime + 1 / ANIMATION_STEPS_PER_SECOND);
+    } else if (pendingTimeout) {
+      var timeout = pendingTimeout;
+      pendingTimeout = null;
+      advanceTo(animationTime + timeout.delay / 1000);
+      timeout.callback();
+    } else {
+      // Nothing is scheduled, and cycle is not complete. Should not happen,
+      // but we don't want to spin forever.
+      throw new Error('Animation stopped before the end of the cycle');
+    }
+  }
+
+  function advanceTo(newTime) {
+    // Repeat last frame for as long as it stays on the screen.
+    while (framesWritten / fps < newTime) {
+      writer.addFrame(lastFrame);
+      framesWritten += 1;
+    }
+    animationTime = newTime;
+  }
+
+  function captureFrame() {
+    var dataUrl = getFrameCanvas().toDataURL('image/webp', quality);
+    // The writer takes size of the video from the first frame. Data urls don't have one.
+    return {
+      width: canvas.width,
+      height: canvas.height,
+      toDataURL() {
+        return dataUrl;
+      }
+    };
+  }
+
+  function getFrameCanvas() {
+    if (!frameCanvas) return canvas;
+
+    frameCanvas.width = canvas.width;
+    frameCanvas.height = canvas.height;
+    var ctx = frameCanvas.getContext('2d');
+    ctx.fillStyle = options.background;
+    ctx.fillRect(0, 0, frameCanvas.width, frameCanvas.height);
+    ctx.drawImage(canvas, 0, 0);
+    return frameCanvas;
+  }
+
+  function cleanUp() {
+    chart.off('cycle-complete', onCycleComplete);
+    chart.setClock(null);
+  }
+
+  function onCycleComplete() {
+    isDone = true;
+  }
+}
+
+function canEncodeWebP(canvas) {
+  return canvas.toDataURL('image/webp').indexOf('data:image/webp') === 0;
+}
+
+function noop() {}
+
+function alwaysFalse() { return false; }
@@ -0,0 +1,41 @@
+/**
+ * Renders one expand/collapse cycle of a pixChart into an animated GIF.
+ * Each frame gets its own palette, computed in JS by the gifenc quantizer.
+ */
+var gifenc = require('gifenc');
+var captureFrames = require('./captureFrames');
+
+// How long (in milliseconds) we stay on the image and on the chart.
+var HOLD_DELAY_MS = 1000;
+
+module.exports = renderGif;
+
+/**
+ * @param {Object} chart - pixChart instance that is loaded and ready to play
+ * @param {Object} options - same as in captureFrames(), plus:
+ * @param {Number} options.fps - frame rate of the animation
+ *
+ * @returns {Promise<Blob>} that resolves with the GIF file.
+ */
+function renderGif(chart, options) {
+  var gif = gifenc.GIFEncoder();
+  var frameDelay = 1000 / options.fps;
+
+  return captureFrames(chart, {
+    framesPerPhase: options.framesPerPhase,
+    background: options.background,
+    onProgress: options.onProgress,
+    isCancelled: options.isCancelled,
+    onFrame(rgba, frame) {
+      var palette = gifenc.quantize(rgba, 256);
+      var index = gifenc.applyPalette(rgba, palette);
+      gif.writeFrame(index, frame.width, frame.height, {
+        palette,
+        delay: frame.isPhaseEnd ? HOLD_DELAY_MS : frameDelay
+      });
+    }
+  }).then(() => {
+    gif.finish();
+    return new Blob([gif.bytes()], { type: 'image/gif' });
+  });
+}
@@ -0,0 +1,48 @@
+/**
+ * Renders one expand/collapse cycle of a pixChart into a ZIP archive
+ * with numbered PNG frames.
+ */
+var JSZip = require('jszip');
+var captureFrames = require('./captureFrames');
+
+module.exports = renderPngFrames;
+
+/**
+ * @param {Object} chart - pixChart instance that is loaded and ready to play
+ * @param {Object} options - same as in captureFrames()
+ *
+ * @returns {Promise<Blob>} that resolves with the ZIP file.
+ */
+function renderPngFrames(chart, options) {
+  var zip = new JSZip();
+  var pendingFrames = [];
+  var cnv = document.createElement('canvas');
+  var ctx = cnv.getContext('2d');
+
+  return captureFrames(chart, {
+    framesPerPhase: options.framesPerPhase,
+    background: options.background,
+    onProgress: options.onProgress,
+    isCancelled: options.isCancelled,
+    onFrame(rgba, frame) {
+      cnv.width = frame.width;
+      cnv.height = frame.height;
+      ctx.putImageData(new ImageData(rgba, frame.width, frame.height), 0, 0);
+
+      var fileName = 'frame_' + padNumber(frame.index, 4) + '.png';
+      // toBlob() takes a copy of the canvas right away, so it is safe to reuse it.
+      pendingFrames.push(toBlob(cnv).then(png => zip.file(fileName, png)));
+    }
+  }).then(() => Promise.all(pendingFrames))
+    .then(() => zip.generateAsync({ type: 'blob' }));
+}
+
+function toBlob(canvas) {
+  return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
+
+function padNumber(x, length) {
+  var result = x.toString();
+  while (result.length < length) result = '0' + result;
+  return result;
+}
@@ -0,0 +1,37 @@
+/**
+ * Renders a single frame of a pixChart into a PNG file. The frame is rendered
+ * offscreen, so its size does not depend on the size of the window.
+ */
+var glPixelsToRgba = require('./glPixelsToRgba');
+
+module.exports = renderStill;
+
+/**
+ * @param {Object} chart - pixChart instance that is loaded
+ * @param {Object} options
+ * @param {Number} options.width - width of the image
+ * @param {Number} options.height - height of the image
+ * @param {Number} [options.t] - point of the animation in [0, 1] range (0 is the image,
+ * 1 is the chart). When omitted, the current frame is rendered.
+ * @param {String} [options.background] - css hex color. Transparent when omitted.
+ *
+ * @returns {Promise<Blob>} that resolves with the PNG file.
+ */
+function renderStill(chart, options) {
+  var width = options.width;
+  var height = options.height;
+
+  return new Promise((resolve, reject) => {
+    var pixels = chart.renderOffscreen(width, height, options.t);
+    var rgba = glPixelsToRgba(pixels, width, height, options.background);
+
+    var cnv = document.createElement('canvas');
+    cnv.width = width;
+    cnv.height = height;
+    cnv.getContext('2d').putImageData(new ImageData(rgba, width, height), 0, 0);
+    cnv.toBlob(png => {
+      if (png) resolve(png);
+      else reject(new Error('Could not encode PNG'));
+    }, 'image/png');
+  });
+}
@@ -8,16 +8,55 @@ var createShaders = require('./lib/createShaders');
 var glUtils = require('./lib/gl-utils.js');
 var loadImage = require('./lib/loadImage');
 var loadParticles = require('./lib/loadParticles');
+var yScales = require('./lib/yScales');
+var filterModes = require('./lib/filterModes');
+var matchParticles = require('./lib/matchParticles');
 
 var ANIMATION_COLLAPSE = 1;
 var ANIMATION_EXPAND = 2;
+// Picking works only when particles are this close (in animation progress) to the image or to the chart.
+var PICK_PROGRESS_THRESHOLD = 0.01;
+
+// Values of the u_layout uniform in the vertex shader.
+var LAYOUTS = {
+  linear: 0,
+  polar: 1,
+  space: 2
+};
+
+// Values of the u_chart_placement uniform. Mirrored charts take a half of the
+// chart area each, and their columns grow away from the middle.
+var CHART_PLACEMENTS = {
+  full: 0,
+  top: 1,
+  bottom: -1
+};
+
+// Values of the u_color_space uniform, used by the 3D (space) layout.
+var COLOR_SPACES = {
+  rgb: 0,
+  hsv: 1,
+  oklab: 2
+};
+
+// Settings of particles that can be changed without restarting the animation (see `morphSettings()`).
+var MORPHABLE_SETTINGS = ['colorGroupBy', 'yGroupBy', 'sortBy', 'bucketCount', 'paletteSize', 'ignoredBuckets'];
+
+// By default animation follows the wall clock (one step per animation frame).
+var wallClock = {
+  requestAnimationFrame: callback => requestAnimationFrame(callback),
+  cancelAnimationFrame: handle => cancelAnimationFrame(handle),
+  setTimeout: (callback, delay) => setTimeout(callback, delay),
+  clearTimeout: handle => clearTimeout(handle),
+  now: () => Date.now()
+};
 
 module.exports = pixChart;
 
 function pixChart(imageLink, options) {
   // 'https://i.imgur.com/vOaDMFa.jpg'
 
-  var imageObject = typeof imageLink === 'string' ? urlImage(imageLink) : fileImage(imageLink);
+  var imageObject = createImageObject(imageLink);
 
   options = options || {};
   var canvas = options.canvas;
@@ -31,10 +70,35 @@ function pixChart(imageLink, options) {
 
   // When initial state collapsed, we want to start expanding, and vice versa.
   var initialState = options.collapsed ? ANIMATION_EXPAND : ANIMATION_COLLAPSE;
-  var state = initialState;
+  // Particles of another image that this chart morphs from (see `startTransition()`).
+  // Videos and live sources start with their own cycle instead.
+  var morphFrom = (!imageObject.isVideo && !imageObject.isLive && options.morphFrom) || null;
+  // Transition starts in the collapsed state: from the chart of the previous image.
+  var state = morphFrom ? ANIMATION_EXPAND : initialState;
 
   var nextAnimationFrame, pendingTimeout;
 
+  // Live sources (e.g. a camera) take a new snapshot before each cycle.
+  var pendingLiveFrame;
+  // Incremented by each `morphSettings()` call, so that older loads can be dropped.
+  var morphSettingsLoads = 0;
+
+  // Video files are played in the collapsed state: every `videoSamplingInterval`
+  // seconds we take a frame, and morph the chart into its histogram.
+  var videoSamplingInterval = options.videoSamplingInterval || 1;
+  var morphFramesCount = options.morphFramesCount || 30;
+  var videoPlayback = null;
+
+  // Particles that we are morphing from, and how far we got (1 - morph is done).
+  var morphSource = null;
+  var morphProgress = 1;
+  // When set, it is called after the morph, instead of playing the animation further.
+  var afterMorph = null;
+
+  // Source of time for the animation. It can be replaced, e.g. to step
+  // frames deterministically when recording a video.
+  var clock = wallClock;
+
   var disposed = false;
   var isPaused = false;
   var lastPauseRelease = 0;
@@ -45,10 +109,22 @@ function pixChart(imageLink, options) {
   var particleLoaderSettings = {
     isCancelled: false,
     ignoredBuckets: options.ignoredBuckets || null,
+    // How ignored buckets are rendered (see filterModes.js)
+    filterMode: options.filterMode || 'hide',
     framesCount: framesCount,
     onProgress: reportImageStatsProgress,
     colorGroupBy: options.colorGroupBy,
+    // When set, particles form a joint histogram of two grouping functions.
+    yGroupBy: options.yGroupBy || null,
+    // When set, pixels inside each bucket are ordered by this grouping function.
+    sortBy: options.sortBy || null,
     bucketCount: options.bucketCount,
+    // How many dominant colors to extract when grouping by palette.
+    paletteSize: options.paletteSize,
+    // Value ranges and palette of another image, when two images are compared.
+    valueRange: options.valueRange || null,
+    yValueRange: options.yValueRange || null,
+    palette: options.palette || null,
     stochastic: options.stochastic === undefined ? true : options.stochastic
   }
 
@@ -64,15 +140,32 @@ function pixChart(imageLink, options) {
   // Image size can be different than scene size (e.g. image is smaller than screen)
   // Thus, we need to track them both.
   var imageWidth, imageHeight, minFrameSpan, maxFrameSpan, frameChangeRate;
-  var imgInfo, particleAttributesBuffer, currentParticles;
+  var imgInfo, particleAttributesBuffer, columnHeightsBuffer, currentParticles;
 
   var sceneWidth = canvas.clientWidth;
   var sceneHeight = canvas.clientHeight;
 
+  var layout = getLayout(options.layout);
+  var colorSpace = getColorSpace(options.colorSpace);
+  var yScale = options.yScale || 'linear';
+  // When set, y axis ends at this many rows instead of the tallest column.
+  var sharedMaxYValue = typeof options.sharedMaxYValue === 'number' ? options.sharedMaxYValue : null;
+  var chartPlacement = getChartPlacement(options.chartPlacement);
+  var dimmedAlpha = typeof options.dimmedAlpha === 'number' ? options.dimmedAlpha : filterModes.DEFAULT_DIMMED_ALPHA;
+  var camera = {yaw: 0.6, pitch: 0.4, zoom: 1};
+  if (options.camera) setCameraFields(options.camera);
   var scaleImage = options.scaleImage !== undefined ? options.scaleImage : true;
   var maxPixels = options.maxPixels;
   var startDelay = typeof options.startDelay === 'number' ? options.startDelay : 2000;
   var reverseDelay = typeof options.reverseDelay === 'number' ? options.reverseDelay : 1500;
+  // Charts that follow another chart don't play on their own. They are moved by `seek()`.
+  var autoPlay = options.autoPlay !== undefined ? options.autoPlay : true;
+  // When set, image is scaled to have this many pixels.
+  var imagePixelsCount = options.imagePixelsCount || 0;
+  // Promise of an image that is already decoded by another chart (see `getImage()`).
+  // Charts of the same image don't need to load it again.
+  var sharedImage = options.sharedImage || null;
+  var currentImage = null;
 
   var shaders = createShaders(options.interpolate);
   var screenProgram = glUtils.createProgram(gl, shaders.vertexShader, shaders.fragmentShader);
@@ -81,13 +174,40 @@ function pixChart(imageLink, options) {
     dispose,
     imageLink,
     getParticles,
+    getImage,
     ignoreBucketSet,
     restartCycle: startExpandCollapseCycle,
+    refresh,
+    morphSettings,
     setSceneSize: setSceneSize,
     setFramesCount,
     setMaxPixels,
+    setVideoSamplingInterval,
+    setLayout,
+    setColorSpace,
+    setYScale,
+    setSharedMaxYValue,
+    setChartPlacement,
+    setFilterMode,
+    setDimmedAlpha,
+    getChartBounds,
+    pick,
+    getBucketAt,
+    setCamera,
+    getCamera,
     colorGroupBy,
-    togglePaused
+    togglePaused,
+    play,
+    pause,
+    seek,
+    isCollapsed,
+    getProgress,
+    rewind,
+    setClock,
+    getPendingLoad,
+    getAnimationInfo,
+    readFramePixels,
+    renderOffscreen
   });
 
   // So that any event handler are subscribed.
@@ -99,11 +219,25 @@ function pixChart(imageLink, options) {
     return currentParticles;
   }
 
+  /**
+   * Returns promise of the decoded image (scaled to its final size), that is
+   * used by current particles.
+   */
+  function getImage() {
+    return currentImage;
+  }
+
   function startAnimationPipeline() {
     loadImageWithCurrentOptions()
       .then(updateProgressAndLoadParticles)
-      .then(initWebGLPrimitives)
-      .then(startExpandCollapseCycle)
+      .then(loadedImage => {
+        if (morphFrom) prepareTransition(loadedImage);
+        initWebGLPrimitives(loadedImage);
+      })
+      .then(() => {
+        if (morphFrom) startTransition();
+        else if (autoPlay) startExpandCollapseCycle();
+      })
       .catch(error => {
         // TODO: this may not be necessary Image problem...
         console.error('error', error);
@@ -112,6 +246,84 @@ function pixChart(imageLink, options) {
       });
   }
 
+  /**
+   * Restarts the cycle. Live sources (e.g. a camera) take a new snapshot first,
+   * so that the animation goes into the histogram of the current scene. Videos
+   * start over from the first frame.
+   */
+  function refresh() {
+    var isDynamic = imageObject.isLive || imageObject.isVideo;
+    if (!isDynamic || !imgInfo) {
+      startExpandCollapseCycle();
+      return;
+    }
+    if (pendingLiveFrame || nextAnimationFrame || pendingTimeout) return; // already in progress.
+
+    if (imageObject.isVideo) imageObject.frameTime = 0;
+    pendingLiveFrame = loadImageWithCurrentOptions()
+      .then(updateProgressAndLoadParticles)
+      .then(initWebGLPrimitives)
+      .then(() => {
+        pendingLiveFrame = null;
+        startExpandCollapseCycle();
+      })
+      .catch(error => {
+        pendingLiveFrame = null;
+        console.error('error', error);
+        progress.step = 'error'
+        notifyProgress();
+      });
+  }
+
+  /**
+   * Changes settings of particles (grouping, buckets, filters), and moves particles
+   * from their places in the collapsed chart straight into the new ones. Returns
+   * false, when the chart is not collapsed, so that the caller can restart it instead.
+   */
+  function morphSettings(newSettings) {
+    if (!canMorphSettings()) return false;
+
+    MORPHABLE_SETTINGS.forEach(name => {
+      if (newSettings.hasOwnProperty(name)) particleLoaderSettings[name] = newSettings[name];
+    });
+
+    // The cycle continues when the morph is done.
+    cancelScheduledFrames();
+    afterMorph = completeState;
+    // Only the latest settings are shown. Loads can finish out of order.
+    var loadNumber = ++morphSettingsLoads;
+    loadImageWithCurrentOptions()
+      .then(image => updateProgressAndLoadParticles(image, () => loadNumber !== morphSettingsLoads))
+      .then(loadedImage => {
+        if (disposed) return;
+
+        startMorph(loadedImage);
+        // Frame spans of the new particles are different. Keep them collapsed.
+        setInitialFrameNumber();
+        if (isPaused) {
+          // Nobody is going to play the morph. Show the new chart as is.
+          finishMorph();
+          drawCurrentFrame();
+        } else if (!nextAnimationFrame) {
+          nextAnimationFrame = clock.requestAnimationFrame(animate);
+        }
+      })
+      .catch(error => {
+        console.error('error', error);
+        progress.step = 'error'
+        notifyProgress();
+      });
+
+    return true;
+  }
+
+  function canMorphSettings() {
+    // Videos and live sources morph between their own frames.
+    if (disposed || imageObject.isLive || imageObject.isVideo) return false;
+
+    return isCollapsed();
+  }
+
   function setMaxPixels(newMaxPixels) {
     maxPixels = newMaxPixels; // TODO: Validate?
 
@@ -120,11 +332,274 @@ function pixChart(imageLink, options) {
       .then(loadedImage => initWebGLPrimitives(loadedImage, /* keepCurrentFrame = */ true));
   }
 
+  /**
+   * Changes how the chart is laid out ('linear' or 'polar'). Particles stay
+   * in the same buckets, so nothing has to be recomputed.
+   */
+  function setLayout(newLayout) {
+    layout = getLayout(newLayout);
+    if (!imgInfo) return; // will be set when image is loaded.
+
+    applyLayout();
+    drawCurrentFrame();
+  }
+
+  /**
+   * Sets color space of the 3D layout: 'rgb', 'hsv' or 'oklab'.
+   */
+  function setColorSpace(newColorSpace) {
+    colorSpace = getColorSpace(newColorSpace);
+    if (!imgInfo) return;
+
+    applyLayout();
+    drawCurrentFrame();
+  }
+
+  /**
+   * Sets scale of the y axis: 'linear', 'log', 'sqrt' or 'percent'.
+   */
+  function setYScale(newYScale) {
+    yScale = newYScale;
+    if (!imgInfo) return;
+
+    applyYScale();
+    if (!nextAnimationFrame) drawCurrentFrame();
+  }
+
+  function applyYScale() {
+    gl.useProgram(screenProgram.program);
+    gl.uniform2f(screenProgram.u_y_scale, yScales.getYScaleCode(yScale), getScaledMax(imgInfo.particles));
+    if (morphSource) {
+      gl.uniform2f(screenProgram.u_morph, morphProgress, getScaledMax(morphSource.particles));
+    }
+  }
+
+  /**
+   * Sets how ignored buckets are rendered: 'hide', 'dim' or 'grayscale'. Hidden
+   * buckets don't take space in the chart, so switching to or from 'hide' reloads
+   * particles.
+   */
+  function setFilterMode(newFilterMode) {
+    var needsReload = filterModes.keepsIgnoredParticles(newFilterMode) !==
+      filterModes.keepsIgnoredParticles(particleLoaderSettings.filterMode);
+    particleLoaderSettings.filterMode = newFilterMode;
+    if (!imgInfo) return;
+
+    var ignoredBuckets = particleLoaderSettings.ignoredBuckets;
+    if (needsReload && ignoredBuckets && ignoredBuckets.size > 0) {
+      ignoreBucketSet(ignoredBuckets);
+      return;
+    }
+
+    applyFilter();
+    if (!nextAnimationFrame) drawCurrentFrame();
+  }
+
+  /**
+   * Sets opacity (0..1) of ignored particles in the 'dim' filter mode.
+   */
+  function setDimmedAlpha(alpha) {
+    dimmedAlpha = alpha;
+    if (!imgInfo) return;
+
+    applyFilter();
+    if (!nextAnimationFrame) drawCurrentFrame();
+  }
+
+  /**
+   * Makes the y axis end at `maxYValue` rows instead of the tallest column, so that
+   * charts of two images share the same scale. Null brings the tallest column back.
+   */
+  function setSharedMaxYValue(maxYValue) {
+    sharedMaxYValue = typeof maxYValue === 'number' ? maxYValue : null;
+    if (!imgInfo) return;
+
+    applyYScale();
+    if (!nextAnimationFrame) drawCurrentFrame();
+  }
+
+  function getScaledMax(particles) {
+    return yScales.getScaledMax(yScale, particles, sharedMaxYValue);
+  }
+
+  /**
+   * Sets where bars are drawn: 'full' chart area, or its 'top' or 'bottom' half,
+   * so that two charts can mirror each other.
+   */
+  function setChartPlacement(newPlacement) {
+    chartPlacement = getChartPlacement(newPlacement);
+    if (!imgInfo) return;
+
+    applyLayout();
+    if (!nextAnimationFrame) drawCurrentFrame();
+  }
+
+  function applyFilter() {
+    gl.useProgram(screenProgram.program);
+    gl.uniform2f(screenProgram.u_filter, filterModes.getFilterModeCode(particleLoaderSettings.filterMode), dimmedAlpha);
+  }
+
+  /**
+   * Returns area of the collapsed bars chart as fractions of the scene size
+   * (`{left, top, width, height}`), or null when chart is not laid out as bars.
+   */
+  function getChartBounds() {
+    if (!imgInfo || layout !== LAYOUTS.linear) return null;
+
+    // Same math as the vertex shader uses for the target of a particle.
+    var factor = Math.min(sceneHeight/imageHeight, sceneWidth/imageWidth);
+    var width = 0.9 * factor * imageWidth/sceneWidth;
+    var height = 0.9 * factor * imageHeight/sceneHeight;
+    if (chartPlacement !== CHART_PLACEMENTS.full) {
+      // Mirrored charts start in the middle of the scene.
+      return {
+        left: (1 - width)/2,
+        top: chartPlacement === CHART_PLACEMENTS.top ? (1 - height)/2 : 0.5,
+        width,
+        height: height/2
+      };
+    }
+
+    return {
+      left: (1 - width)/2,
+      top: (1 - height)/2,
+      width,
+      height
+    };
+  }
+
+  /**
+   * Finds what is under the point `x, y` (in pixels of the scene): a bucket of the
+   * collapsed bars chart, or a pixel of the expanded image. Returns null when there
+   * is nothing under the point, or when particles are on their way.
+   */
+  function pick(x, y) {
+    if (!imgInfo || !currentParticles || morphSource) return null;
+
+    var t = getProgress();
+    if (t >= 1 - PICK_PROGRESS_THRESHOLD) return pickBucket(x, y);
+    if (t <= PICK_PROGRESS_THRESHOLD) return pickPixel(x, y);
+    return null;
+  }
+
+  /**
+   * Returns column of the collapsed bars chart under `x` (in pixels of the scene), or -1
+   * when the chart is not collapsed. Points on the sides of the chart are clamped to its
+   * first and last columns.
+   */
+  function getBucketAt(x) {
+    if (!currentParticles || morphSource || getProgress() < 1 - PICK_PROGRESS_THRESHOLD) return -1;
+
+    var bounds = getChartBounds();
+    if (!bounds) return -1;
+
+    var bucketsCount = currentParticles.buckets.length;
+    var chartX = (x/sceneWidth - bounds.left)/bounds.width;
+    return Math.max(0, Math.min(bucketsCount - 1, Math.floor(chartX * bucketsCount)));
+  }
+
+  function pickBucket(x, y) {
+    var bounds = getChartBounds();
+    if (!bounds) return null;
+
+    var chartX = (x/sceneWidth - bounds.left)/bounds.width;
+    var chartY = 1 - (y/sceneHeight - bounds.top)/bounds.height;
+    // Columns of the bottom chart grow down.
+    if (chartPlacement === CHART_PLACEMENTS.bottom) chartY = 1 - chartY;
+    if (chartX < 0 || chartX >= 1 || chartY < 0 || chartY > 1) return null;
+
+    var particles = currentParticles;
+    var bucketNumber = Math.floor(chartX * particles.buckets.length);
+    var count = particles.buckets[bucketNumber];
+    if (count === 0) return null;
+    // Hidden columns are not on the screen, while dimmed ones are.
+    var isHidden = particles.ignoredBuckets && particles.ignoredBuckets.has(bucketNumber) &&
+      !filterModes.keepsIgnoredParticles(particles.filterMode);
+    if (isHidden) return null;
+
+    if (!particles.yGroupByFunctionName) {
+      // Only the column itself is picked, not the empty space above it.
+      var columnHeight = yScales.scaleHeight(yScale, count/particles.bucketWidth)/getScaledMax(particles);
+      if (chartY > columnHeight) return null;
+    }
+
+    return {
+      type: 'bucket',
+      bucketNumber
+    };
+  }
+
+  function pickPixel(x, y) {
+    // Same math as the vertex shader uses for the source of a particle.
+    var factor = Math.min(sceneHeight/imageHeight, sceneWidth/imageWidth);
+    var pixelX = Math.floor((x - (sceneWidth - factor * imageWidth)/2)/factor);
+    var pixelY = Math.floor((y - (sceneHeight - factor * imageHeight)/2)/factor);
+    if (pixelX < 0 || pixelX >= imageWidth || pixelY < 0 || pixelY >= imageHeight) return null;
+
+    var pixelIndex = pixelY * imageWidth + pixelX;
+    var rgba = currentParticles.canvas.getContext('2d').getImageData(pixelX, pixelY, 1, 1).data;
+    return {
+      type: 'pixel',
+      x: pixelX,
+      y: pixelY,
+      r: rgba[0],
+      g: rgba[1],
+      b: rgba[2],
+      bucketNumber: getPixelBucket(currentParticles, pixelIndex)
+    };
+  }
+
+  /**
+   * Moves orbit camera of the 3D layout. `newCamera` can have `yaw`, `pitch`
+   * (in radians) and `zoom`. Omitted fields are not changed.
+   */
+  function setCamera(newCamera) {
+    setCameraFields(newCamera);
+    if (!imgInfo || layout !== LAYOUTS.space) return;
+
+    gl.useProgram(screenProgram.program);
+    gl.uniform3f(screenProgram.u_camera, camera.yaw, camera.pitch, camera.zoom);
+    // When animation is running, the next frame will pick it up.
+    if (!nextAnimationFrame) drawCurrentFrame();
+  }
+
+  function getCamera() {
+    return Object.assign({}, camera);
+  }
+
+  function setCameraFields(newCamera) {
+    if (typeof newCamera.yaw === 'number') camera.yaw = newCamera.yaw;
+    if (typeof newCamera.pitch === 'number') camera.pitch = newCamera.pitch;
+    if (typeof newCamera.zoom === 'number') camera.zoom = newCamera.zoom;
+  }
+
+  function applyLayout() {
+    gl.useProgram(screenProgram.program);
+    gl.uniform1f(screenProgram.u_layout, layout);
+    gl.uniform1f(screenProgram.u_color_space, colorSpace);
+    gl.uniform1f(screenProgram.u_chart_placement, chartPlacement);
+    gl.uniform3f(screenProgram.u_camera, camera.yaw, camera.pitch, camera.zoom);
+
+    if (layout === LAYOUTS.space) {
+      // Particles in the back should not be drawn over particles in the front.
+      gl.enable(gl.DEPTH_TEST);
+      gl.depthFunc(gl.LEQUAL);
+    } else {
+      gl.disable(gl.DEPTH_TEST);
+    }
+  }
+
+  function setVideoSamplingInterval(seconds) {
+    videoSamplingInterval = seconds;
+  }
+
   function loadImageWithCurrentOptions() {
-    return loadImage(imageObject, {
+    currentImage = sharedImage || loadImage(imageObject, {
       scaleImage,
-      maxPixels
-    })
+      maxPixels,
+      pixelsCount: imagePixelsCount
+    });
+    return currentImage;
   }
 
   function colorGroupBy(newColorGroupBy) {
@@ -146,20 +621,103 @@ function pixChart(imageLink, options) {
   function togglePaused() {
     if (!imgInfo) return; // not loaded yet.
 
-    if (isPaused) {
-      nextAnimationFrame = requestAnimationFrame(animate);
-    } else {
-      cancelAnimationFrame(nextAnimationFrame);
-      nextAnimationFrame = 0;
-      clearTimeout(pendingTimeout);
-      pendingTimeout = 0;
-      lastPauseRelease = new Date();
-    }
-    isPaused = !isPaused;
+    if (isPaused) play();
+    else pause();
+
     return isPaused;
   }
 
-  function updateProgressAndLoadParticles(image) {
+  function play() {
+    if (!imgInfo || !isPaused) return; // not loaded yet, or already playing.
+
+    isPaused = false;
+    nextAnimationFrame = clock.requestAnimationFrame(animate);
+  }
+
+  function pause() {
+    if (!imgInfo || isPaused) return; // not loaded yet, or already paused.
+
+    cancelScheduledFrames();
+    lastPauseRelease = clock.now();
+    isPaused = true;
+  }
+
+  /**
+   * Brings animation to its initial state and stops it there. Use
+   * `restartCycle()` to play it again.
+   */
+  function rewind() {
+    if (!imgInfo) return; // not loaded yet.
+
+    cancelScheduledFrames();
+    stopVideoPlayback();
+    isPaused = false;
+    lastPauseRelease = 0;
+    state = initialState;
+    setInitialFrameNumber();
+
+    drawCurrentFrame();
+    api.fire('frame', getProgress());
+  }
+
+  /**
+   * Replaces source of time for the animation. `newClock` should have the same
+   * methods as `wallClock` above. When called without arguments the wall clock
+   * is restored. Scheduled frames are cancelled.
+   */
+  function setClock(newClock) {
+    cancelScheduledFrames();
+    clock = newClock || wallClock;
+  }
+
+  function cancelScheduledFrames() {
+    clock.cancelAnimationFrame(nextAnimationFrame);
+    nextAnimationFrame = 0;
+    clock.clearTimeout(pendingTimeout);
+    pendingTimeout = 0;
+  }
+
+  /**
+   * Moves animation to the given point `t`, and pauses it there.
+   * `t` is in [0, 1] range, where 0 is the image and 1 is the chart.
+   */
+  function seek(t) {
+    if (!imgInfo) return; // not loaded yet.
+
+    pause();
+
+    t = Math.max(0, Math.min(1, t));
+    if (state === ANIMATION_EXPAND) t = 1 - t;
+    currentFrameNumber = minFrameSpan + t * (maxFrameSpan - minFrameSpan);
+
+    drawCurrentFrame();
+    api.fire('frame', getProgress());
+  }
+
+  /**
+   * Whether particles rest in the chart (e.g. between collapse and expand).
+   */
+  function isCollapsed() {
+    return !!imgInfo && getProgress() === 1;
+  }
+
+  /**
+   * Returns current position of the animation in [0, 1] range, where 0
+   * is the image, and 1 is the chart.
+   */
+  function getProgress() {
+    if (!imgInfo) return state === ANIMATION_COLLAPSE ? 0 : 1;
+
+    var t = (currentFrameNumber - minFrameSpan)/(maxFrameSpan - minFrameSpan);
+    if (state === ANIMATION_EXPAND) t = 1 - t;
+    return t;
+  }
+
+  /**
+   * Loads particles of the image. When `isStale()` says that these particles
+   * are no longer needed, the promise never resolves, and nothing is updated.
+   */
+  function updateProgressAndLoadParticles(image, isStale) {
     progress.total = image.width * image.height;
     progress.step = 'pixels';
     currentParticles = null;
@@ -167,6 +725,8 @@ function pixChart(imageLink, options) {
 
     return loadParticles(image, particleLoaderSettings)
       .then(particles => {
+        if (isStale && isStale()) return new Promise(() => {});
+
         currentParticles = particles;
         progress.step = 'done';
         notifyProgress();
@@ -225,36 +785,233 @@ function pixChart(imageLink, options) {
     frameChangeRate = (maxFrameSpan - minFrameSpan)/framesCount;
 
     particleAttributesBuffer = glUtils.createBuffer(gl, particles.particleAttributes);
+    columnHeightsBuffer = glUtils.createBuffer(gl, particles.columnHeights);
     gl.enable(gl.BLEND);
     gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
   
     gl.useProgram(screenProgram.program);  
     
     glUtils.bindAttribute(gl, particleAttributesBuffer, screenProgram.a_particle, 4);  
+    glUtils.bindAttribute(gl, columnHeightsBuffer, screenProgram.a_column_height, 1);
     glUtils.bindTexture(gl, imgInfo.texture, 2);
 
     if (!keepCurrentFrame) setInitialFrameNumber();
 
     gl.uniform4f(screenProgram.u_frame, currentFrameNumber, minFrameSpan, maxFrameSpan, state);
 
-    gl.uniform1f(screenProgram.u_max_y_value, particles.maxYValue);
+    applyLayout();
     gl.uniform4f(screenProgram.u_sizes, imageWidth, imageHeight, sceneWidth, sceneHeight);
 
     gl.uniform1i(screenProgram.u_image, 2);
+    bindMorphSource();
+    applyYScale();
+    applyFilter();
     gl.drawArrays(gl.POINTS, 0, imageWidth * imageHeight);  
   }
 
   function animate() {
     nextAnimationFrame = 0;
 
+    if (morphSource) {
+      stepMorph();
+    } else if (videoPlayback) {
+      continueVideoPlayback();
+    } else {
+      drawCurrentFrame();
+      scheduleNextFrame();
+    }
+    api.fire('frame', getProgress());
+  }
+
+  function startVideoPlayback() {
+    // This keeps the chart on the screen, while we are loading frames.
+    setInitialFrameNumber();
+    videoPlayback = {
+      time: imageObject.frameTime,
+      isLoading: false
+    };
+    loadNextVideoFrame();
+  }
+
+  function continueVideoPlayback() {
     drawCurrentFrame();
-    scheduleNextFrame();
-    var t = (currentFrameNumber - minFrameSpan)/(maxFrameSpan - minFrameSpan);
-    if (state === ANIMATION_EXPAND) t = 1 - t;
-    api.fire('frame', t);
+    // When the frame is loaded, it schedules animation on its own.
+    if (!videoPlayback.isLoading) loadNextVideoFrame();
+  }
+
+  function loadNextVideoFrame() {
+    var playback = videoPlayback;
+    var nextTime = playback.time + videoSamplingInterval;
+    if (nextTime > imageObject.duration) {
+      // The whole video is played - bring the image back.
+      videoPlayback = null;
+      completeState();
+      return;
+    }
+
+    playback.isLoading = true;
+    imageObject.frameTime = nextTime;
+    playback.loading = loadImageWithCurrentOptions()
+      .then(updateProgressAndLoadParticles)
+      .then(loadedImage => {
+        if (disposed || playback !== videoPlayback) return;
+
+        playback.isLoading = false;
+        playback.time = nextTime;
+        startMorph(loadedImage);
+        if (!isPaused && !nextAnimationFrame) nextAnimationFrame = clock.requestAnimationFrame(animate);
+      })
+      .catch(error => {
+        if (disposed || playback !== videoPlayback) return;
+
+        // Frames that we already have are fine. End the playback, and bring the image back.
+        console.error('Could not load video frame', error);
+        playback.isLoading = false;
+        stopVideoPlayback();
+        completeState();
+      });
+  }
+
+  /**
+   * Returns promise of the video frame that is being loaded, or null. Nothing is
+   * scheduled on the clock while the frame loads, so recorders have to wait for it.
+   */
+  function getPendingLoad() {
+    return videoPlayback && videoPlayback.isLoading ? videoPlayback.loading : null;
+  }
+
+  function stopVideoPlayback() {
+    videoPlayback = null;
+    if (morphSource) finishMorph();
+  }
+
+  /**
+   * Replaces current particles with the `loadedImage`, and starts morphing the
+   * chart from the current particles into the new ones.
+   */
+  function startMorph(loadedImage) {
+    releaseMorphSource();
+
+    // Pixel indices are shared between particles, so we can only morph between images of the same size.
+    if (imgInfo && imgInfo.width === loadedImage.width && imgInfo.height === loadedImage.height) {
+      morphSource = {
+        particleAttributesBuffer,
+        columnHeightsBuffer,
+        texture: imgInfo.texture,
+        particles: imgInfo.particles,
+        width: imgInfo.width,
+        height: imgInfo.height
+      };
+      morphProgress = 0;
+
+      // Now they are owned by the morph source, and will be released when morph is done.
+      particleAttributesBuffer = null;
+      columnHeightsBuffer = null;
+      imgInfo = null;
+    }
+
+    initWebGLPrimitives(loadedImage, /* keepCurrentFrame = */ true);
+  }
+
+  /**
+   * Pairs current particles with particles of the previous image (`options.morphFrom`),
+   * so that the chart of the previous image can morph into the current one.
+   */
+  function prepareTransition(loadedImage) {
+    if (disposed) return;
+
+    var matched = matchParticles(morphFrom, loadedImage.particles);
+    morphSource = {
+      particleAttributesBuffer: glUtils.createBuffer(gl, matched.particleAttributes),
+      columnHeightsBuffer: glUtils.createBuffer(gl, matched.columnHeights),
+      texture: glUtils.createTexture(gl, morphFrom.canvas),
+      particles: morphFrom,
+      width: morphFrom.canvas.width,
+      height: morphFrom.canvas.height,
+      // Pairs don't depend on the image size.
+      isMatched: true
+    };
+    morphProgress = 0;
+  }
+
+  /**
+   * Morphs the chart of the previous image into the current one, and then plays
+   * the cycle, so that particles fly into pixels of the current image.
+   */
+  function startTransition() {
+    morphFrom = null;
+    if (disposed) return;
+
+    afterMorph = () => {
+      // The collapsed chart is the starting point, when images are shown collapsed first.
+      if (state === initialState) startExpandCollapseCycle();
+      else completeState();
+    };
+    nextAnimationFrame = clock.requestAnimationFrame(animate);
+  }
+
+  function stepMorph() {
+    morphProgress = Math.min(1, morphProgress + 1/morphFramesCount);
+    gl.useProgram(screenProgram.program); 
+    gl.uniform2f(screenProgram.u_morph, morphProgress, getScaledMax(morphSource.particles));
+    drawCurrentFrame();
+
+    if (morphProgress === 1 && afterMorph) {
+      var callback = afterMorph;
+      finishMorph();
+      callback();
+      return;
+    }
+
+    if (morphProgress === 1) finishMorph();
+    nextAnimationFrame = clock.requestAnimationFrame(animate);
+  }
+
+  function finishMorph() {
+    afterMorph = null;
+    releaseMorphSource();
+    bindMorphSource();
+  }
+
+  function bindMorphSource() {
+    if (morphSource && !morphSource.isMatched && (morphSource.width !== imageWidth || morphSource.height !== imageHeight)) {
+      // Image was resized (e.g. max pixels changed) in the middle of the morph.
+      releaseMorphSource();
+    }
+
+    if (morphSource) {
+      glUtils.bindAttribute(gl, morphSource.particleAttributesBuffer, screenProgram.a_prev_particle, 4);
+      glUtils.bindAttribute(gl, morphSource.columnHeightsBuffer, screenProgram.a_prev_column_height, 1);
+      glUtils.bindTexture(gl, morphSource.texture, 1);
+      gl.uniform1i(screenProgram.u_prev_image, 1);
+      gl.uniform2f(screenProgram.u_morph, morphProgress, getScaledMax(morphSource.particles));
+      gl.uniform2f(screenProgram.u_prev_sizes, morphSource.width, morphSource.height);
+    } else {
+      // The shader ignores previous particles, there is nothing to read.
+      gl.disableVertexAttribArray(screenProgram.a_prev_particle);
+      gl.disableVertexAttribArray(screenProgram.a_prev_column_height);
+      gl.uniform2f(screenProgram.u_morph, 1, 1);
+    }
+
+    // New textures are bound to the active unit. Keep it away from the units that we draw with.
+    gl.activeTexture(gl.TEXTURE0);
+  }
+
+  function releaseMorphSource() {
+    if (!morphSource) return;
+
+    gl.deleteBuffer(morphSource.particleAttributesBuffer);
+    gl.deleteBuffer(morphSource.columnHeightsBuffer);
+    gl.deleteTexture(morphSource.texture);
+    morphSource = null;
+    morphProgress = 1;
   }
 
   function drawCurrentFrame() {
+    drawFrame(currentFrameNumber, state);
+  }
+
+  function drawFrame(frameNumber, animationState) {
     gl.useProgram(screenProgram.program); 
 
     if (requestSizeUpdate) {
@@ -262,10 +1019,108 @@ function pixChart(imageLink, options) {
       gl.uniform4f(screenProgram.u_sizes, imageWidth, imageHeight, sceneWidth, sceneHeight);
     }
 
-    gl.uniform4f(screenProgram.u_frame, currentFrameNumber, minFrameSpan, maxFrameSpan, state);
+    gl.uniform4f(screenProgram.u_frame, frameNumber, minFrameSpan, maxFrameSpan, animationState);
+    if (layout === LAYOUTS.space) gl.clear(gl.DEPTH_BUFFER_BIT);
     gl.drawArrays(gl.POINTS, 0, imageWidth * imageHeight);  
   }
 
+  /**
+   * Returns what we need to know in order to render frames of the animation
+   * outside of the regular animation loop.
+   */
+  function getAnimationInfo() {
+    if (!imgInfo) return; // not loaded yet.
+
+    return {
+      minFrameSpan,
+      maxFrameSpan,
+      startsCollapsed: initialState === ANIMATION_EXPAND,
+      width: gl.drawingBufferWidth,
+      height: gl.drawingBufferHeight
+    };
+  }
+
+  /**
+   * Draws a frame of the animation and reads its pixels back.
+   *
+   * @param {Number} frameNumber - value of the u_frame uniform, between `minFrameSpan`
+   * and `maxFrameSpan`.
+   * @param {Boolean} isExpanding - if true, the chart is turning into the image,
+   * otherwise the image is turning into the chart.
+   * @param {Uint8Array} [pixels] - optional array to store pixels.
+   *
+   * Note: rows are returned from bottom to top, as `gl.readPixels()` gives them.
+   */
+  function readFramePixels(frameNumber, isExpanding, pixels) {
+    var width = gl.drawingBufferWidth;
+    var height = gl.drawingBufferHeight;
+    if (!pixels) pixels = new Uint8Array(width * height * 4);
+
+    // Without this frames would accumulate, since browser clears the canvas only
+    // when it is presented on the screen.
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    drawFrame(frameNumber, isExpanding ? ANIMATION_EXPAND : ANIMATION_COLLAPSE);
+    gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+
+    return pixels;
+  }
+
+  /**
+   * Renders a single frame into an offscreen buffer of any size (it doesn't
+   * have to match the size of the canvas), and reads its pixels back.
+   *
+   * @param {Number} width - width of the rendered frame
+   * @param {Number} height - height of the rendered frame
+   * @param {Number} [t] - point of the animation in [0, 1] range, where 0 is
+   * the image, and 1 is the chart. When omitted, the current frame is rendered.
+   *
+   * Note: rows are returned from bottom to top, as `gl.readPixels()` gives them.
+   */
+  function renderOffscreen(width, height, t) {
+    if (!imgInfo) throw new Error('Image is not loaded yet');
+
+    var maxViewport = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+    var maxSize = Math.min(
+      gl.getParameter(gl.MAX_TEXTURE_SIZE), gl.getParameter(gl.MAX_RENDERBUFFER_SIZE),
+      maxViewport[0], maxViewport[1]
+    );
+    if (width > maxSize || height > maxSize) {
+      throw new Error('This device can render at most ' + maxSize + 'x' + maxSize + ' pixels');
+    }
+
+    var frameNumber = currentFrameNumber;
+    var animationState = state;
+    if (t !== undefined) {
+      frameNumber = minFrameSpan + Math.max(0, Math.min(1, t)) * (maxFrameSpan - minFrameSpan);
+      animationState = ANIMATION_COLLAPSE;
+    }
+
+    // Image texture lives in the unit 2, so we use a different one for the target.
+    gl.activeTexture(gl.TEXTURE3);
+    var target = glUtils.createRenderTarget(gl, width, height);
+    var pixels = new Uint8Array(width * height * 4);
+
+    try {
+      gl.viewport(0, 0, width, height);
+      gl.clearColor(0, 0, 0, 0);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      if (layout === LAYOUTS.space) gl.clear(gl.DEPTH_BUFFER_BIT);
+
+      gl.useProgram(screenProgram.program);
+      gl.uniform4f(screenProgram.u_sizes, imageWidth, imageHeight, width, height);
+      gl.uniform4f(screenProgram.u_frame, frameNumber, minFrameSpan, maxFrameSpan, animationState);
+      gl.drawArrays(gl.POINTS, 0, imageWidth * imageHeight);
+      gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+    } finally {
+      target.dispose();
+      gl.viewport(0, 0, sceneWidth, sceneHeight);
+      gl.uniform4f(screenProgram.u_sizes, imageWidth, imageHeight, sceneWidth, sceneHeight);
+    }
+
+    return pixels;
+  }
+
   function startExpandCollapseCycle() {
     // One cycle consists of collapsing image, and then expanding it.
     // After cycle is done, options.cycleComplete() callback is executed.
@@ -275,13 +1130,13 @@ function pixChart(imageLink, options) {
     if (disposed) return;
     if (nextAnimationFrame || pendingTimeout) return; // already scheduled.
     var delay = startDelay;
-    if (new Date() - lastPauseRelease < 500) {
+    if (clock.now() - lastPauseRelease < 500) {
       delay = 0;
     }
 
-    pendingTimeout = setTimeout(() => {
+    pendingTimeout = clock.setTimeout(() => {
       pendingTimeout = 0;
-      nextAnimationFrame = requestAnimationFrame(animate)
+      nextAnimationFrame = clock.requestAnimationFrame(animate)
     }, delay);
   }
     
@@ -291,10 +1146,16 @@ function pixChart(imageLink, options) {
     if (state === ANIMATION_COLLAPSE) {
       if (currentFrameNumber < maxFrameSpan) {
         currentFrameNumber += frameChangeRate;
-        nextAnimationFrame = requestAnimationFrame(animate);
+        nextAnimationFrame = clock.requestAnimationFrame(animate);
       } else {
         state = ANIMATION_EXPAND;
-        completeState();
+        if (imageObject.isVideo) {
+          startVideoPlayback();
+        } else {
+          completeState();
+          // Particles are in the chart. Listeners may stop here, e.g. to morph into another image.
+          api.fire('collapsed');
+        }
       }
     } else {
       if (currentFrameNumber < maxFrameSpan ) {
@@ -303,7 +1164,7 @@ function pixChart(imageLink, options) {
           // Expand faster in this case
           if (currentFrameNumber < maxFrameSpan) currentFrameNumber += frameChangeRate * 0.5;
         }
-        nextAnimationFrame = requestAnimationFrame(animate);
+        nextAnimationFrame = clock.requestAnimationFrame(animate);
       } else {
         state = ANIMATION_COLLAPSE;
         completeState();
@@ -323,29 +1184,32 @@ function pixChart(imageLink, options) {
     } else {
       // drive it back to original state
       var delay = reverseDelay;
-      if (new Date() - lastPauseRelease < 500) {
+      if (clock.now() - lastPauseRelease < 500) {
         // If pause was just released - don't wait.
         delay = 0;
       }
-      pendingTimeout = setTimeout(() => {
+      pendingTimeout = clock.setTimeout(() => {
         pendingTimeout = 0;
-        nextAnimationFrame = requestAnimationFrame(animate);
+        nextAnimationFrame = clock.requestAnimationFrame(animate);
       }, delay);
     }
   }
 
-  function dispose() {
-    cancelAnimationFrame(nextAnimationFrame);
-    clearTimeout(pendingTimeout);
+  /**
+   * Releases everything that the chart holds. When `keepLastFrame` is set, the canvas
+   * stays visible with the last frame, until another chart draws on it.
+   */
+  function dispose(keepLastFrame) {
+    cancelScheduledFrames();
+    releaseMorphSource();
     releasePreviousWebGLResources();
     if (screenProgram) {
       screenProgram.unload();
     }
 
-    canvas.style.opacity = 0;
+    if (!keepLastFrame) canvas.style.opacity = 0;
     particleLoaderSettings.isCancelled = true;
-    nextAnimationFrame = 0;
-    pendingTimeout = 0;
+    if (imageObject.dispose) imageObject.dispose();
     disposed = true;
   }
 
@@ -354,6 +1218,10 @@ function pixChart(imageLink, options) {
       gl.deleteBuffer(particleAttributesBuffer);
       particleAttributesBuffer = null;
     }
+    if (columnHeightsBuffer) {
+      gl.deleteBuffer(columnHeightsBuffer);
+      columnHeightsBuffer = null;
+    }
     if (imgInfo) {
       gl.deleteTexture(imgInfo.texture);
       imgInfo = null;
@@ -361,6 +1229,45 @@ function pixChart(imageLink, options) {
   }
 }
 
+/**
+ * Returns bucket of a pixel, or -1 if the pixel is hidden by a filter.
+ */
+function getPixelBucket(particles, pixelIndex) {
+  // Particles are processed in reverse order of pixels (see createParticleProcessor.js)
+  var particleIndex = particles.particleAttributes.length/4 - 1 - pixelIndex;
+  var x = filterModes.decodeX(particles.particleAttributes[particleIndex * 4], particles.filterMode);
+  if (x < 0) return -1;
+
+  var bucketsCount = particles.buckets.length;
+  // x is `bucket/bucketsCount` plus less than one bucket. In a bars chart half of a
+  // pixel keeps floating point errors from pulling it into the previous bucket.
+  var offset = particles.yGroupByFunctionName ? 0 : 0.5/particles.bucketWidth;
+  return Math.min(bucketsCount - 1, Math.floor(x * bucketsCount + offset));
+}
+
+function getChartPlacement(placementName) {
+  return CHART_PLACEMENTS.hasOwnProperty(placementName) ? CHART_PLACEMENTS[placementName] : CHART_PLACEMENTS.full;
+}
+
+function getLayout(layoutName) {
+  return LAYOUTS[layoutName] || LAYOUTS.linear;
+}
+
+function getColorSpace(colorSpaceName) {
+  return COLOR_SPACES[colorSpaceName] || COLOR_SPACES.rgb;
+}
+
+function createImageObject(imageLink) {
+  if (typeof imageLink === 'string') return urlImage(imageLink);
+  if (typeof MediaStream !== 'undefined' && imageLink instanceof MediaStream) {
+    return streamImage(imageLink);
+  }
+  if (imageLink.type && imageLink.type.indexOf('video/') === 0) {
+    return videoFileImage(imageLink);
+  }
+  return fileImage(imageLink);
+}
+
 // allows to load images from a url
 function urlImage(link) {
   return {
@@ -381,3 +1288,86 @@ function fileImage(file) {
     }
   }
 }
+
+// this takes snapshots of a live media stream (e.g. camera)
+function streamImage(stream) {
+  var video, videoReady;
+
+  return {
+    name: 'Camera',
+    isLive: true,
+    getVideo() {
+      if (!videoReady) videoReady = startVideo();
+      return videoReady;
+    },
+    dispose() {
+      if (!video) return;
+      video.pause();
+      video.srcObject = null;
+    }
+  }
+
+  function startVideo() {
+    video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.srcObject = stream;
+
+    return new Promise((resolve, reject) => {
+      video.onloadeddata = () => resolve(video);
+      video.onerror = reject;
+      video.play().catch(reject);
+    });
+  }
+}
+
+// this takes frames of a local video file. `frameTime` defines which one.
+function videoFileImage(file) {
+  var video, videoUrl, videoReady;
+
+  var imageObject = {
+    name: file.name,
+    isVideo: true,
+    frameTime: 0,
+    duration: 0,
+    getVideo() {
+      if (!videoReady) videoReady = openVideo();
+      return videoReady.then(seekToFrameTime);
+    },
+    dispose() {
+      if (!video) return;
+      video.removeAttribute('src');
+      video.load();
+      window.URL.revokeObjectURL(videoUrl);
+    }
+  };
+
+  return imageObject;
+
+  function openVideo() {
+    videoUrl = window.URL.createObjectURL(file);
+    video = document.createElement('video');
+    video.muted = true;
+    video.preload = 'auto';
+
+    return new Promise((resolve, reject) => {
+      video.onloadeddata = () => {
+        imageObject.duration = video.duration;
+        resolve(video);
+      };
+      video.onerror = () => reject(video.error);
+      video.src = videoUrl;
+    });
+  }
+
+  function seekToFrameTime(video) {
+    var time = Math.min(imageObject.frameTime, imageObject.duration);
+    if (Math.abs(video.currentTime - time) < 0.001) return video;
+
+    return new Promise((resolve, reject) => {
+      video.onseeked = () => resolve(video);
+      video.onerror = () => reject(video.error);
+      video.currentTime = time;
+    });
+  }
+}
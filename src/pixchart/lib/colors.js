@@ -1,7 +1,28 @@
 module.exports = {
-  rgbToHsl: rgbToHsl
+  rgbToHsl: rgbToHsl,
+  rgbToHsv: rgbToHsv,
+  rgbToLab: rgbToLab,
+  rgbToLch: rgbToLch,
+  rgbToOklab: rgbToOklab,
+  rgbToOklch: rgbToOklch,
+  luma: luma
 };
 
+// sRGB channel value (0..255) to linear light (0..1). Computed once, since
+// the conversion is called for every pixel of an image.
+var SRGB_TO_LINEAR = new Float64Array(256);
+for (var i = 0; i < 256; ++i) {
+  var c = i / 255;
+  SRGB_TO_LINEAR[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+// D65 reference white
+var WHITE_X = 0.95047;
+var WHITE_Y = 1;
+var WHITE_Z = 1.08883;
+var LAB_EPSILON = 216 / 24389; // (6/29)^3
+var LAB_KAPPA = 24389 / 27; // (29/3)^3
+
 /**
  * Converts an RGB color value to HSL. Conversion formula
  * adapted from http://en.wikipedia.org/wiki/HSL_color_space.
@@ -37,3 +58,95 @@ function rgbToHsl(r, g, b, component) {
   if (component === 1) return s;
   if (component === 2) return l;
 }
+
+/**
+ * Converts an RGB color value to HSV. Assumes r, g, and b are contained in the
+ * set [0, 255] and returns h, s, and v in the set [0, 1].
+ */
+function rgbToHsv(r, g, b, component) {
+  var max = Math.max(r, g, b), min = Math.min(r, g, b);
+  if (component === 2) return max / 255;
+  if (component === 1) return max === 0 ? 0 : (max - min) / max;
+
+  // Hue is the same as in HSL.
+  return rgbToHsl(r, g, b, 0);
+}
+
+/**
+ * Converts an sRGB color value to CIELAB (D65). Assumes r, g, and b are contained
+ * in the set [0, 255]. Returns L in the [0, 100] range, a and b are roughly
+ * in [-110, 100] range.
+ */
+function rgbToLab(r, g, b, component) {
+  var lr = SRGB_TO_LINEAR[r], lg = SRGB_TO_LINEAR[g], lb = SRGB_TO_LINEAR[b];
+
+  var fy = labF((0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb) / WHITE_Y);
+  if (component === 0) return 116 * fy - 16;
+  if (component === 1) {
+    return 500 * (labF((0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / WHITE_X) - fy);
+  }
+
+  return 200 * (fy - labF((0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / WHITE_Z));
+}
+
+/**
+ * Converts an sRGB color value to CIE LCh (the polar form of CIELAB). Returns
+ * L in [0, 100], chroma in [0, ~134] and hue in degrees [0, 360).
+ */
+function rgbToLch(r, g, b, component) {
+  if (component === 0) return rgbToLab(r, g, b, 0);
+
+  var a = rgbToLab(r, g, b, 1);
+  var bValue = rgbToLab(r, g, b, 2);
+  if (component === 1) return Math.sqrt(a * a + bValue * bValue);
+
+  return toDegrees(a, bValue);
+}
+
+/**
+ * Converts an sRGB color value to OKLab (https://bottosson.github.io/posts/oklab/).
+ * Returns L in [0, 1] range, a and b are roughly in [-0.32, 0.28] range.
+ */
+function rgbToOklab(r, g, b, component) {
+  var lr = SRGB_TO_LINEAR[r], lg = SRGB_TO_LINEAR[g], lb = SRGB_TO_LINEAR[b];
+
+  var l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+  var m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+  var s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+  if (component === 0) return 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s;
+  if (component === 1) return 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s;
+  return 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s;
+}
+
+/**
+ * Converts an sRGB color value to OKLCh (the polar form of OKLab). Returns
+ * L in [0, 1], chroma in [0, ~0.33] and hue in degrees [0, 360).
+ */
+function rgbToOklch(r, g, b, component) {
+  if (component === 0) return rgbToOklab(r, g, b, 0);
+
+  var a = rgbToOklab(r, g, b, 1);
+  var bValue = rgbToOklab(r, g, b, 2);
+  if (component === 1) return Math.sqrt(a * a + bValue * bValue);
+
+  return toDegrees(a, bValue);
+}
+
+/**
+ * Computes luma from gamma-encoded r, g, b in [0, 255] range, using coefficients
+ * of a given standard ('709' or '2020'). Returns value in [0, 1] range.
+ */
+function luma(r, g, b, standard) {
+  if (standard === '2020') return (0.2627 * r + 0.6780 * g + 0.0593 * b) / 255;
+  return (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
+}
+
+function labF(t) {
+  return t > LAB_EPSILON ? Math.cbrt(t) : (LAB_KAPPA * t + 16) / 116;
+}
+
+function toDegrees(a, b) {
+  var hue = Math.atan2(b, a) * 180 / Math.PI;
+  return hue < 0 ? hue + 360 : hue;
+}
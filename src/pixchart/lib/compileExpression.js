@@ -0,0 +1,235 @@
+/**
+ * Compiles a math expression over pixel colors (e.g. `max(r, g, b) - min(r, g, b)`)
+ * into a function `(r, g, b) => number`.
+ *
+ * The expression is parsed into a tree, and each node becomes a small closure.
+ * Nothing is evaluated as JavaScript, so arbitrary input is safe to compile.
+ *
+ * Grammar:
+ *   expression := term (('+' | '-') term)*
+ *   term       := unary (('*' | '/' | '%') unary)*
+ *   unary      := '-' unary | power
+ *   power      := primary ('^' unary)?
+ *   primary    := number | name | name '(' arguments ')' | '(' expression ')'
+ */
+var FUNCTIONS = {
+  min: { minArgs: 1, maxArgs: Infinity, fn: Math.min },
+  max: { minArgs: 1, maxArgs: Infinity, fn: Math.max },
+  abs: { minArgs: 1, maxArgs: 1, fn: Math.abs },
+  sqrt: { minArgs: 1, maxArgs: 1, fn: Math.sqrt },
+  pow: { minArgs: 2, maxArgs: 2, fn: Math.pow },
+  log: { minArgs: 1, maxArgs: 1, fn: Math.log },
+  exp: { minArgs: 1, maxArgs: 1, fn: Math.exp },
+  floor: { minArgs: 1, maxArgs: 1, fn: Math.floor },
+  ceil: { minArgs: 1, maxArgs: 1, fn: Math.ceil },
+  round: { minArgs: 1, maxArgs: 1, fn: Math.round },
+  sin: { minArgs: 1, maxArgs: 1, fn: Math.sin },
+  cos: { minArgs: 1, maxArgs: 1, fn: Math.cos },
+  atan2: { minArgs: 2, maxArgs: 2, fn: Math.atan2 }
+};
+
+var CONSTANTS = {
+  pi: Math.PI
+};
+
+var BINARY_OPERATORS = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => a / b,
+  '%': (a, b) => a % b,
+  '^': (a, b) => Math.pow(a, b)
+};
+
+module.exports = compileExpression;
+
+/**
+ * @param {String} source - text of the expression
+ * @param {Object} variables - maps variable name to a `(r, g, b) => number` function
+ * @returns {Function} `(r, g, b) => number`
+ * @throws {Error} with a human readable message when expression is not valid.
+ */
+function compileExpression(source, variables) {
+  var tokens = tokenize(source);
+  var position = 0;
+
+  if (tokens.length === 1) throw new Error('Expression is empty');
+
+  var compiled = parseExpression();
+  var leftover = peek();
+  if (leftover.type !== 'end') fail('Unexpected ' + describe(leftover), leftover);
+
+  return compiled;
+
+  function parseExpression() {
+    var left = parseTerm();
+    while (isOperator('+') || isOperator('-')) {
+      left = makeBinary(next().value, left, parseTerm());
+    }
+    return left;
+  }
+
+  function parseTerm() {
+    var left = parseUnary();
+    while (isOperator('*') || isOperator('/') || isOperator('%')) {
+      left = makeBinary(next().value, left, parseUnary());
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    if (isOperator('-')) {
+      next();
+      var operand = parseUnary();
+      return (r, g, b) => -operand(r, g, b);
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    var base = parsePrimary();
+    if (isOperator('^')) {
+      next();
+      return makeBinary('^', base, parseUnary());
+    }
+    return base;
+  }
+
+  function parsePrimary() {
+    var token = next();
+    if (token.type === 'number') {
+      var value = token.value;
+      return () => value;
+    }
+
+    if (token.type === 'name') {
+      if (isOperator('(')) return parseCall(token);
+      return getVariable(token);
+    }
+
+    if (token.type === 'operator' && token.value === '(') {
+      var inner = parseExpression();
+      expect(')');
+      return inner;
+    }
+
+    fail('Expected a number, a variable or "(", but found ' + describe(token), token);
+  }
+
+  function parseCall(nameToken) {
+    // Names like `toString` should not resolve to methods of the object prototype.
+    var definition = FUNCTIONS.hasOwnProperty(nameToken.value) ? FUNCTIONS[nameToken.value] : null;
+    if (!definition) fail('Unknown function "' + nameToken.value + '"', nameToken);
+
+    next(); // (
+    var args = [];
+    if (!isOperator(')')) {
+      args.push(parseExpression());
+      while (isOperator(',')) {
+        next();
+        args.push(parseExpression());
+      }
+    }
+    expect(')');
+
+    if (args.length < definition.minArgs || args.length > definition.maxArgs) {
+      fail('Function "' + nameToken.value + '" ' + describeArity(definition) + ', but got ' + args.length, nameToken);
+    }
+
+    var fn = definition.fn;
+    if (args.length === 1) {
+      var arg = args[0];
+      return (r, g, b) => fn(arg(r, g, b));
+    }
+
+    return (r, g, b) => fn.apply(null, args.map(arg => arg(r, g, b)));
+  }
+
+  function getVariable(token) {
+    var name = token.value;
+    if (variables.hasOwnProperty(name)) return variables[name];
+    if (CONSTANTS.hasOwnProperty(name)) {
+      var value = CONSTANTS[name];
+      return () => value;
+    }
+
+    fail('Unknown variable "' + name + '"', token, 'Known variables are: ' + Object.keys(variables).join(', '));
+  }
+
+  function makeBinary(operator, left, right) {
+    var op = BINARY_OPERATORS[operator];
+    return (r, g, b) => op(left(r, g, b), right(r, g, b));
+  }
+
+  function expect(operator) {
+    var token = next();
+    if (token.type !== 'operator' || token.value !== operator) {
+      fail('Expected "' + operator + '", but found ' + describe(token), token);
+    }
+  }
+
+  function isOperator(operator) {
+    var token = peek();
+    return token.type === 'operator' && token.value === operator;
+  }
+
+  function peek() {
+    return tokens[position];
+  }
+
+  function next() {
+    var token = tokens[position];
+    if (token.type !== 'end') position += 1;
+    return token;
+  }
+}
+
+function tokenize(source) {
+  var tokens = [];
+  var numberRegex = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/;
+  var nameRegex = /^[a-zA-Z_][a-zA-Z0-9_]*/;
+  var index = 0;
+
+  while (index < source.length) {
+    var ch = source[index];
+    if (/\s/.test(ch)) {
+      index += 1;
+      continue;
+    }
+
+    var rest = source.substr(index);
+    var match = rest.match(numberRegex);
+    if (match) {
+      tokens.push({ type: 'number', value: Number.parseFloat(match[0]), position: index });
+      index += match[0].length;
+    } else if ((match = rest.match(nameRegex))) {
+      tokens.push({ type: 'name', value: match[0], position: index });
+      index += match[0].length;
+    } else if ('+-*/%^(),'.indexOf(ch) > -1) {
+      tokens.push({ type: 'operator', value: ch, position: index });
+      index += 1;
+    } else {
+      fail('Unexpected character "' + ch + '"', { position: index });
+    }
+  }
+
+  tokens.push({ type: 'end', position: source.length });
+  return tokens;
+}
+
+function describe(token) {
+  if (token.type === 'end') return 'end of expression';
+  return '"' + token.value + '"';
+}
+
+function describeArity(definition) {
+  if (definition.maxArgs === Infinity) return 'expects at least ' + definition.minArgs + ' argument(s)';
+  if (definition.minArgs === definition.maxArgs) return 'expects ' + definition.minArgs + ' argument(s)';
+  return 'expects from ' + definition.minArgs + ' to ' + definition.maxArgs + ' arguments';
+}
+
+function fail(message, token, hint) {
+  message += ' at position ' + (token.position + 1);
+  if (hint) message += '. ' + hint;
+  throw new Error(message);
+}
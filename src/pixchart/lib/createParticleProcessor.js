@@ -0,0 +1,371 @@
+/**
+ * Computes particles destinations for an array of RGBA pixels.
+ *
+ * The work is split into steps, so that the same code can be driven in
+ * small time slices from the UI thread, or in a tight loop from a web worker.
+ * Depending on a value function, the algorithm processes all particles
+ * in just one pass (linear performance of particles count). If value function
+ * needs normalization, then algorithm iterates over particles twice.
+ *
+ * When `options.yGroupBy` is set, particles form a joint (2D) histogram instead:
+ * x comes from `colorGroupBy`, y comes from `yGroupBy`, and pixels of each cell
+ * are spread over its area.
+ *
+ * When `options.sortBy` is set, pixels inside each bucket are ordered by the
+ * second group function. This takes one more pass, where we count pixels of every
+ * sort level in each bucket (counting sort), so that the main pass knows the
+ * rank of each pixel inside its bucket.
+ *
+ * To compare two images, the second one can reuse `options.valueRange`,
+ * `options.yValueRange` and `options.palette` of the first one, so that buckets
+ * of both charts mean the same thing.
+ */
+var random = require('ngraph.random')(42);
+var groupFunctions = require('./groupFunctions');
+var customGroupBy = require('./customGroupBy');
+var paletteGroupBy = require('./paletteGroupBy');
+var createPixelAccessor = require('./createPixelAccessor');
+var filterModes = require('./filterModes');
+
+// Offsets of the R2 low discrepancy sequence. They spread pixels of a 2D
+// histogram cell evenly, so that denser cells look more solid.
+var R2_X = 0.7548776662466927;
+var R2_Y = 0.5698402909980532;
+
+// Sort values are quantized into this many levels for the counting sort.
+var SORT_LEVELS = 256;
+
+module.exports = createParticleProcessor;
+
+function createParticleProcessor(pixels, width, height, options) {
+  var ignoredBuckets = options.ignoredBuckets;
+  // When set, ignored pixels stay in the chart, and the shader only dims them.
+  var keepIgnored = filterModes.keepsIgnoredParticles(options.filterMode);
+  var isStochastic = options.stochastic;
+  // Dominant colors grouping needs to see the whole image, so it is made per image.
+  var groupBy = paletteGroupBy.isPaletteGroupBy(options.colorGroupBy) ?
+    paletteGroupBy.createGroupByFunction(options.colorGroupBy, pixels, options.paletteSize, options.palette) :
+    getGroupByFunction(options.colorGroupBy);
+  var getValue = groupBy.getValue;
+  var yGroupBy = options.yGroupBy ? getGroupByFunction(options.yGroupBy) : null;
+  // Joint histogram spreads pixels over cells, so there is no order to sort by.
+  var sortBy = options.sortBy && !yGroupBy ? getGroupByFunction(options.sortBy) : null;
+
+  var n = width * height;
+  var pixelsCount = 4 * n;
+  // Spatial and texture group functions need to look around the pixel.
+  var image = createPixelAccessor(pixels, width, height);
+
+  // Palette has exactly one bucket per color.
+  var bucketsCount = groupBy.colors ? groupBy.colors.length / 3 : (options.bucketCount || 42);
+  var bucketWidth = Math.ceil(width/bucketsCount); // in pixels.
+
+  var maxYValue = 0;
+  var nonFilteredMaxYValue = 0;
+  var minVValue = Number.POSITIVE_INFINITY;
+  var maxVValue = Number.NEGATIVE_INFINITY;
+  var minFrameSpan = Number.POSITIVE_INFINITY, maxFrameSpan = Number.NEGATIVE_INFINITY;
+  var minYVValue = 0;
+  var maxYVValue = 1;
+  var minSValue = 0;
+  var maxSValue = 1;
+
+  // each pixel is mapped to height inside its bucket;
+  var particleAttributes = new Float32Array(pixelsCount);
+
+  // this is a temporary tracker of taken spots inside a bucket
+  var bucketColors = new Uint32Array(bucketsCount);
+
+  // sum of red, green and blue components of all pixels in a bucket.
+  var bucketRgbSums = new Float64Array(bucketsCount * 3);
+
+  // Rows and cells of the joint histogram. There is no point to have more rows than pixels.
+  var yBucketsCount = yGroupBy ? Math.min(bucketsCount, height) : 0;
+  var cellCounts = yGroupBy ? new Uint32Array(bucketsCount * yBucketsCount) : null;
+
+  // Sort level and bucket of each pixel, and number of pixels per (bucket, sort level).
+  // After the counting pass the latter turns into the next free rank inside a bucket.
+  // Buckets are remembered, so that the main pass doesn't call group function again.
+  var sortLevels = sortBy ? new Uint8Array(n) : null;
+  var pixelBuckets = sortBy ? new Uint32Array(n) : null;
+  var sortOffsets = sortBy ? new Uint32Array(bucketsCount * SORT_LEVELS) : null;
+
+  // Index of the next pixel for the min/max pass, for the counting pass and for the main pass.
+  var minMaxIdx = 0;
+  var sortIdx = sortBy ? 0 : pixelsCount;
+  var idx = 0;
+
+  // Given value ranges are used as is, instead of the ranges of this image.
+  var normalizeX = groupBy.normalizeV && !options.valueRange;
+  var normalizeY = yGroupBy && yGroupBy.normalizeV && !options.yValueRange;
+  var needsMinMax = normalizeX || normalizeY || (sortBy && sortBy.normalizeV);
+  var passesCount = (needsMinMax ? 1 : 0) + (sortBy ? 1 : 0) + 1;
+
+  if (options.valueRange && groupBy.normalizeV) {
+    minVValue = options.valueRange.min;
+    maxVValue = options.valueRange.max;
+  } else if (!groupBy.normalizeV) {
+    minVValue = 0;
+    maxVValue = 1;
+  }
+  if (options.yValueRange && yGroupBy && yGroupBy.normalizeV) {
+    minYVValue = options.yValueRange.min;
+    maxYVValue = options.yValueRange.max;
+  } else if (normalizeY) {
+    minYVValue = Number.POSITIVE_INFINITY;
+    maxYVValue = Number.NEGATIVE_INFINITY;
+  }
+  if (sortBy && sortBy.normalizeV) {
+    minSValue = Number.POSITIVE_INFINITY;
+    maxSValue = Number.NEGATIVE_INFINITY;
+  }
+  if (!needsMinMax) {
+    minMaxIdx = pixelsCount; // nothing to normalize.
+  }
+
+  return {
+    step,
+    getProcessedPixelsCount,
+    getResult
+  };
+
+  function getProcessedPixelsCount() {
+    // Every pass goes over all pixels, so the progress is split between passes.
+    var processed = (needsMinMax ? minMaxIdx : 0) + (sortBy ? sortIdx : 0) + idx;
+    return Math.floor(processed/(4 * passesCount));
+  }
+
+  /**
+   * Processes pixels until all of them are done, or until `maxTime` milliseconds
+   * have passed. Returns true when there is no more work left.
+   */
+  function step(maxTime) {
+    var start = performance.now();
+
+    while (minMaxIdx < pixelsCount) {
+      var r = pixels[minMaxIdx], g = pixels[minMaxIdx + 1], b = pixels[minMaxIdx + 2];
+      var pixelIndex = minMaxIdx/4;
+      var x = pixelIndex % width, y = (pixelIndex - x)/width;
+      if (normalizeX) {
+        var v = getValue(r, g, b, x, y, image);
+        if (v < minVValue) minVValue = v;
+        if (v > maxVValue) maxVValue = v;
+      }
+      if (normalizeY) {
+        var yV = yGroupBy.getValue(r, g, b, x, y, image);
+        if (yV < minYVValue) minYVValue = yV;
+        if (yV > maxYVValue) maxYVValue = yV;
+      }
+      if (sortBy && sortBy.normalizeV) {
+        var sV = sortBy.getValue(r, g, b, x, y, image);
+        if (sV < minSValue) minSValue = sV;
+        if (sV > maxSValue) maxSValue = sV;
+      }
+
+      minMaxIdx += 4;
+      if (performance.now() - start > maxTime) return false;
+    }
+
+    while (sortIdx < pixelsCount) {
+      countSortLevel();
+
+      sortIdx += 4;
+      if (sortIdx === pixelsCount) turnSortCountsIntoOffsets();
+      if (performance.now() - start > maxTime) return false;
+    }
+
+    while (idx < pixelsCount) {
+      processPixel();
+
+      idx += 4;
+      if (performance.now() - start > maxTime) return idx >= pixelsCount;
+    }
+
+    return true;
+  }
+
+  function processPixel() {
+    var invIndex = pixelsCount - idx - 4;
+    var r = pixels[invIndex + 0], g = pixels[invIndex + 1], b = pixels[invIndex + 2];
+    var pixelIndex = invIndex/4;
+    var x = pixelIndex % width, y = (pixelIndex - x)/width;
+    var bucketNumber = pixelBuckets ? pixelBuckets[idx/4] : getBucketNumber(r, g, b, x, y);
+
+    var currentYValue = (bucketColors[bucketNumber] += 1);
+    currentYValue -= 1;
+    if (sortOffsets) {
+      // Instead of the arrival order, pixels take their rank by the sort value.
+      currentYValue = sortOffsets[bucketNumber * SORT_LEVELS + sortLevels[idx/4]]++;
+    }
+    bucketRgbSums[bucketNumber * 3 + 0] += r;
+    bucketRgbSums[bucketNumber * 3 + 1] += g;
+    bucketRgbSums[bucketNumber * 3 + 2] += b;
+    // assign this pixel to this height in the bucket
+    // Note: if we want to be less jumpy during changes in particles count,
+    // we can augment this code with previous particle configuration.
+    var frameSpan = random.gaussian();
+
+    if (cellCounts) {
+      placeInCell(bucketNumber, r, g, b, x, y);
+    } else {
+      particleAttributes[idx + 0] = (bucketNumber/bucketsCount) +
+       (currentYValue % bucketWidth)/(bucketsCount * bucketWidth);
+      particleAttributes[idx + 1] = Math.floor(currentYValue/bucketWidth);
+    }
+    particleAttributes[idx + 2] = isStochastic ? frameSpan : 0;
+    particleAttributes[idx + 3] = invIndex/4;
+
+    if (frameSpan < minFrameSpan) minFrameSpan = frameSpan;
+    if (frameSpan > maxFrameSpan) maxFrameSpan = frameSpan;
+
+    var bucketMaxY = particleAttributes[idx + 1];
+    // TODO: this should be based on custom callback.
+    var isIgnored = ignoredBuckets && ignoredBuckets.has(bucketNumber);
+    if (isIgnored) {
+      particleAttributes[idx] = keepIgnored ? filterModes.encodeIgnoredX(particleAttributes[idx]) : -1;
+    }
+    if ((!isIgnored || keepIgnored) && bucketMaxY > maxYValue) maxYValue = bucketMaxY;
+
+    if (bucketMaxY > nonFilteredMaxYValue) nonFilteredMaxYValue = bucketMaxY;
+  }
+
+  function getBucketNumber(r, g, b, x, y) {
+    // When all pixels have the same value, the range is empty. Put them into the first bucket.
+    var v = (getValue(r, g, b, x, y, image) - minVValue)/(maxVValue - minVValue || 1);
+    // v ranges from 0 to 1. Values outside of a given range go to the edge buckets.
+    var bucketNumber = Math.round(Math.max(0, Math.min(1, v)) * bucketsCount);
+
+    if (bucketNumber === bucketsCount) {
+      // prevent overflow
+      bucketNumber -= 1;
+    }
+
+    return bucketNumber;
+  }
+
+  function countSortLevel() {
+    // Same order of pixels as in the main pass.
+    var invIndex = pixelsCount - sortIdx - 4;
+    var r = pixels[invIndex + 0], g = pixels[invIndex + 1], b = pixels[invIndex + 2];
+    var pixelIndex = invIndex/4;
+    var x = pixelIndex % width, y = (pixelIndex - x)/width;
+
+    var sV = (sortBy.getValue(r, g, b, x, y, image) - minSValue)/(maxSValue - minSValue || 1);
+    var level = Math.round(Math.max(0, Math.min(1, sV)) * (SORT_LEVELS - 1));
+    var bucketNumber = getBucketNumber(r, g, b, x, y);
+    sortLevels[sortIdx/4] = level;
+    pixelBuckets[sortIdx/4] = bucketNumber;
+    sortOffsets[bucketNumber * SORT_LEVELS + level] += 1;
+  }
+
+  function turnSortCountsIntoOffsets() {
+    for (var bucket = 0; bucket < bucketsCount; ++bucket) {
+      var rank = 0;
+      for (var level = 0; level < SORT_LEVELS; ++level) {
+        var offset = bucket * SORT_LEVELS + level;
+        var count = sortOffsets[offset];
+        sortOffsets[offset] = rank;
+        rank += count;
+      }
+    }
+  }
+
+  function placeInCell(bucketNumber, r, g, b, x, y) {
+    var yV = (yGroupBy.getValue(r, g, b, x, y, image) - minYVValue)/(maxYVValue - minYVValue || 1);
+    var row = Math.round(Math.max(0, Math.min(1, yV)) * yBucketsCount);
+    if (row === yBucketsCount) row -= 1;
+
+    var cellPixelIndex = cellCounts[row * bucketsCount + bucketNumber];
+    cellCounts[row * bucketsCount + bucketNumber] += 1;
+
+    particleAttributes[idx + 0] = (bucketNumber + fract(0.5 + cellPixelIndex * R2_X))/bucketsCount;
+    particleAttributes[idx + 1] = row + fract(0.5 + cellPixelIndex * R2_Y);
+  }
+
+  function getResult() {
+    return {
+      buckets: bucketColors,
+      bucketAverageColors: getBucketAverageColors(),
+      // [r, g, b] triplets of dominant colors, when pixels are grouped by palette.
+      palette: groupBy.colors || null,
+      groupByFunctionName: groupBy.name,
+      minFrameSpan,
+      maxFrameSpan,
+      minVValue,
+      maxVValue,
+      particleAttributes,
+      columnHeights: getColumnHeights(),
+      // Joint histogram has fixed rows, so that y axis doesn't depend on the image.
+      maxYValue: yGroupBy ? yBucketsCount : maxYValue,
+      nonFilteredMaxYValue: yGroupBy ? yBucketsCount : nonFilteredMaxYValue,
+      bucketWidth,
+      yGroupByFunctionName: yGroupBy ? yGroupBy.name : null,
+      yBucketsCount,
+      minYVValue,
+      maxYVValue
+    };
+  }
+
+  /**
+   * Returns height (in rows) of the column that each particle belongs to. The
+   * vertex shader needs it to scale columns (see yScales.js).
+   */
+  function getColumnHeights() {
+    var columnHeights = new Float32Array(n);
+    // Joint histogram has no columns, and hidden particles are not visible.
+    if (cellCounts) return columnHeights;
+
+    for (var i = 0; i < n; ++i) {
+      var x = filterModes.decodeX(particleAttributes[i * 4], options.filterMode);
+      if (x < 0) continue;
+
+      // x is `bucket/bucketsCount` plus less than one bucket. Half of a pixel keeps
+      // floating point errors from pulling it into the previous bucket.
+      var bucketNumber = Math.floor(x * bucketsCount + 0.5/bucketWidth);
+      columnHeights[i] = bucketColors[bucketNumber]/bucketWidth;
+    }
+    return columnHeights;
+  }
+
+  function getBucketAverageColors() {
+    // [r, g, b] triplets for each bucket
+    var averageColors = new Uint8ClampedArray(bucketsCount * 3);
+    for (var i = 0; i < bucketsCount; ++i) {
+      var count = bucketColors[i];
+      if (count === 0) continue;
+
+      averageColors[i * 3 + 0] = Math.round(bucketRgbSums[i * 3 + 0] / count);
+      averageColors[i * 3 + 1] = Math.round(bucketRgbSums[i * 3 + 1] / count);
+      averageColors[i * 3 + 2] = Math.round(bucketRgbSums[i * 3 + 2] / count);
+    }
+    return averageColors;
+  }
+}
+
+function fract(x) {
+  return x - Math.floor(x);
+}
+
+function getGroupByFunction(requestedGrouping) {
+  if (customGroupBy.isCustomGroupBy(requestedGrouping)) {
+    requestedGrouping = customGroupBy.createGroupByFunction(requestedGrouping);
+  } else if (typeof requestedGrouping === 'string') {
+    requestedGrouping = groupFunctions[requestedGrouping];
+  }
+  if (typeof requestedGrouping === 'function') {
+    return {
+      name: 'custom',
+      normalizeV: false,
+      getValue: requestedGrouping
+    };
+  }
+  if (requestedGrouping && typeof requestedGrouping.getValue === 'function') {
+    return {
+      normalizeV: requestedGrouping.normalize,
+      getValue: requestedGrouping.getValue,
+      name: requestedGrouping.name
+    };
+  }
+
+  throw new Error('Unknown group by function');
+}
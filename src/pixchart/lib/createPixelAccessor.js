@@ -0,0 +1,40 @@
+/**
+ * Gives group functions access to the neighborhood of a pixel. An accessor is
+ * passed as the last argument of `getValue(r, g, b, x, y, image)`.
+ */
+var colors = require('./colors');
+
+module.exports = createPixelAccessor;
+
+function createPixelAccessor(pixels, width, height) {
+  // Luminance of every pixel, computed on the first request. Most group
+  // functions never look at neighbors, so they don't pay for it.
+  var luminance;
+
+  return {
+    width,
+    height,
+    getLuminance
+  };
+
+  /**
+   * Returns luma (0..1) of a pixel at `x, y`. Coordinates outside of the image
+   * are clamped to its edges.
+   */
+  function getLuminance(x, y) {
+    if (!luminance) luminance = computeLuminance();
+
+    if (x < 0) x = 0; else if (x >= width) x = width - 1;
+    if (y < 0) y = 0; else if (y >= height) y = height - 1;
+
+    return luminance[y * width + x];
+  }
+
+  function computeLuminance() {
+    var result = new Float32Array(width * height);
+    for (var i = 0; i < result.length; ++i) {
+      result[i] = colors.luma(pixels[i * 4], pixels[i * 4 + 1], pixels[i * 4 + 2], '709');
+    }
+    return result;
+  }
+}
@@ -5,6 +5,8 @@ var fragmentShader = `
   varying vec4 v_color;
 
   void main() {
+      // Otherwise invisible particles would still hide others in the depth buffer.
+      if (v_color.a == 0.) discard;
       gl_FragColor = v_color;
   }`;
 
@@ -0,0 +1,86 @@
+/**
+ * User defined grouping functions. They are passed around as plain strings
+ * (`custom:<expression>`), so that they can be stored in the query string and
+ * sent to the particles worker, just like names of predefined group functions.
+ */
+var compileExpression = require('./compileExpression');
+var groupFunctions = require('./groupFunctions');
+
+var PREFIX = 'custom:';
+
+// Every variable is in [0, 1] range, same as values of predefined group functions.
+var VARIABLES = {
+  r: groupFunctions['rgb.r'].getValue,
+  g: groupFunctions['rgb.g'].getValue,
+  b: groupFunctions['rgb.b'].getValue,
+  h: groupFunctions['hsl.h'].getValue,
+  s: groupFunctions['hsl.s'].getValue,
+  l: groupFunctions['hsl.l'].getValue,
+  v: groupFunctions['hsv.v'].getValue,
+  lab_l: groupFunctions['lab.l'].getValue,
+  lab_a: groupFunctions['lab.a'].getValue,
+  lab_b: groupFunctions['lab.b'].getValue,
+  lch_c: groupFunctions['lch.c'].getValue,
+  lch_h: groupFunctions['lch.h'].getValue,
+  oklab_l: groupFunctions['oklab.l'].getValue,
+  oklab_a: groupFunctions['oklab.a'].getValue,
+  oklab_b: groupFunctions['oklab.b'].getValue,
+  oklch_c: groupFunctions['oklch.c'].getValue,
+  oklch_h: groupFunctions['oklch.h'].getValue,
+  luma: groupFunctions['luma.709'].getValue
+};
+
+module.exports = {
+  isCustomGroupBy,
+  getExpression,
+  toGroupBy,
+  validate,
+  createGroupByFunction,
+  variableNames: Object.keys(VARIABLES)
+};
+
+function isCustomGroupBy(groupBy) {
+  return typeof groupBy === 'string' && groupBy.indexOf(PREFIX) === 0;
+}
+
+function getExpression(groupBy) {
+  return isCustomGroupBy(groupBy) ? groupBy.substr(PREFIX.length) : '';
+}
+
+function toGroupBy(expression) {
+  return PREFIX + expression;
+}
+
+/**
+ * Returns error message if expression cannot be compiled, or null otherwise.
+ */
+function validate(expression) {
+  try {
+    var compiled = compileExpression(expression, VARIABLES);
+    // Expression that compiles may still fail when evaluated. Better to know it now,
+    // than in the middle of the pixels processing.
+    compiled(128, 128, 128);
+    return null;
+  } catch (e) {
+    return e.message;
+  }
+}
+
+/**
+ * Compiles `custom:<expression>` into a group function. The expression can
+ * produce values of any range, so they are always normalized.
+ */
+function createGroupByFunction(groupBy) {
+  var expression = getExpression(groupBy);
+  var compiled = compileExpression(expression, VARIABLES);
+
+  return {
+    name: expression,
+    normalize: true,
+    getValue(r, g, b) {
+      var value = compiled(r, g, b);
+      // Things like division by zero should not break the whole chart.
+      return Number.isFinite(value) ? value : 0;
+    }
+  };
+}
@@ -0,0 +1,167 @@
+/**
+ * Extracts dominant colors of an image with the median cut algorithm.
+ *
+ * We start with a single box that holds every (sampled) pixel, and keep splitting
+ * the box with the largest `pixels count * color range` along its widest channel
+ * at the median, until we have the requested amount of boxes. Average color of
+ * each box becomes a palette entry, which is then refined with k-means.
+ */
+
+// Median cut only needs a representative sample. This keeps large images fast.
+var MAX_SAMPLES = 65536;
+var K_MEANS_ITERATIONS = 3;
+
+module.exports = extractPalette;
+
+/**
+ * @param {Uint8ClampedArray} pixels - rgba values of an image
+ * @param {Number} size - maximum amount of colors in the palette
+ * @returns {Array} of `{r, g, b, count}` objects, where count is amount of sampled
+ * pixels that are nearest to the color.
+ */
+function extractPalette(pixels, size) {
+  var pixelsCount = pixels.length / 4;
+  var sampleStep = Math.max(1, Math.floor(pixelsCount / MAX_SAMPLES));
+  var samplesCount = Math.ceil(pixelsCount / sampleStep);
+  var samples = new Uint8Array(samplesCount * 3);
+
+  for (var i = 0; i < samplesCount; ++i) {
+    var offset = i * sampleStep * 4;
+    samples[i * 3 + 0] = pixels[offset + 0];
+    samples[i * 3 + 1] = pixels[offset + 1];
+    samples[i * 3 + 2] = pixels[offset + 2];
+  }
+
+  var allIndices = [];
+  for (i = 0; i < samplesCount; ++i) allIndices.push(i);
+
+  var boxes = [makeBox(allIndices)];
+  while (boxes.length < size) {
+    var boxIndex = getBoxToSplit(boxes);
+    if (boxIndex < 0) break; // every box has a single color.
+
+    var halves = splitBox(boxes[boxIndex]);
+    boxes.splice(boxIndex, 1, halves[0], halves[1]);
+  }
+
+  return refine(boxes.map(getAverageColor));
+
+  function makeBox(indices) {
+    var min = [255, 255, 255];
+    var max = [0, 0, 0];
+    indices.forEach(index => {
+      for (var channel = 0; channel < 3; ++channel) {
+        var value = samples[index * 3 + channel];
+        if (value < min[channel]) min[channel] = value;
+        if (value > max[channel]) max[channel] = value;
+      }
+    });
+
+    var widestChannel = 0;
+    var range = -1;
+    for (var channel = 0; channel < 3; ++channel) {
+      if (max[channel] - min[channel] > range) {
+        range = max[channel] - min[channel];
+        widestChannel = channel;
+      }
+    }
+
+    return { indices, range, widestChannel };
+  }
+
+  function getBoxToSplit(boxes) {
+    var bestIndex = -1;
+    var bestScore = 0;
+    boxes.forEach((box, index) => {
+      if (box.range === 0 || box.indices.length < 2) return;
+
+      var score = box.range * box.indices.length;
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = index;
+      }
+    });
+    return bestIndex;
+  }
+
+  function splitBox(box) {
+    var channel = box.widestChannel;
+    var indices = box.indices.sort((a, b) => samples[a * 3 + channel] - samples[b * 3 + channel]);
+    var median = Math.floor(indices.length / 2);
+
+    // Pixels of the same color should stay in the same box, so we move
+    // the split point to the nearest change of value.
+    var medianValue = getValue(median);
+    var split = median;
+    while (split < indices.length && getValue(split) === medianValue) split += 1;
+    if (split === indices.length) {
+      split = median;
+      while (split > 0 && getValue(split - 1) === medianValue) split -= 1;
+    }
+
+    return [makeBox(indices.slice(0, split)), makeBox(indices.slice(split))];
+
+    function getValue(i) {
+      return samples[indices[i] * 3 + channel];
+    }
+  }
+
+  function refine(palette) {
+    // Median cut boxes are axis aligned, so their averages can be off. A few
+    // rounds of k-means move each color to the center of its cluster.
+    for (var iteration = 0; iteration < K_MEANS_ITERATIONS; ++iteration) {
+      var sums = palette.map(() => ({r: 0, g: 0, b: 0, count: 0}));
+      for (var i = 0; i < samplesCount; ++i) {
+        var r = samples[i * 3 + 0], g = samples[i * 3 + 1], b = samples[i * 3 + 2];
+        var sum = sums[getNearestColorIndex(palette, r, g, b)];
+        sum.r += r; sum.g += g; sum.b += b;
+        sum.count += 1;
+      }
+
+      // Colors that lost all their pixels are dropped.
+      palette = sums.filter(sum => sum.count > 0).map(sum => ({
+        r: Math.round(sum.r / sum.count),
+        g: Math.round(sum.g / sum.count),
+        b: Math.round(sum.b / sum.count),
+        count: sum.count
+      }));
+    }
+
+    return palette;
+  }
+
+  function getAverageColor(box) {
+    var r = 0, g = 0, b = 0;
+    box.indices.forEach(index => {
+      r += samples[index * 3 + 0];
+      g += samples[index * 3 + 1];
+      b += samples[index * 3 + 2];
+    });
+
+    var count = box.indices.length;
+    return {
+      r: Math.round(r / count),
+      g: Math.round(g / count),
+      b: Math.round(b / count),
+      count
+    };
+  }
+}
+
+/**
+ * Returns index of the palette color that is nearest to the given color.
+ */
+function getNearestColorIndex(palette, r, g, b) {
+  var nearest = 0;
+  var minDistance = Number.POSITIVE_INFINITY;
+  for (var i = 0; i < palette.length; ++i) {
+    var color = palette[i];
+    var dr = r - color.r, dg = g - color.g, db = b - color.b;
+    var distance = dr * dr + dg * dg + db * db;
+    if (distance < minDistance) {
+      minDistance = distance;
+      nearest = i;
+    }
+  }
+  return nearest;
+}
@@ -0,0 +1,69 @@
+/**
+ * How particles of ignored buckets are rendered:
+ *
+ *  - `hide` - they disappear, and the chart is scaled to the remaining buckets;
+ *  - `dim` - they stay in their places with low opacity;
+ *  - `grayscale` - they stay in their places without colors.
+ *
+ * Ignored particles have negative x. Hidden particles have x = -1, while dimmed
+ * and grayscale particles keep their place encoded as `-1 - x`. The vertex shader
+ * decodes it back (see `u_filter`).
+ */
+var FILTER_MODES = {
+  hide: 0,
+  dim: 1,
+  grayscale: 2
+};
+
+// Opacity of dimmed particles, unless configured otherwise.
+var DEFAULT_DIMMED_ALPHA = 0.15;
+
+module.exports = {
+  FILTER_MODES,
+  DEFAULT_DIMMED_ALPHA,
+  getFilterModeCode,
+  keepsIgnoredParticles,
+  getColumnStyle,
+  encodeIgnoredX,
+  decodeX
+};
+
+function getFilterModeCode(name) {
+  return FILTER_MODES.hasOwnProperty(name) ? FILTER_MODES[name] : FILTER_MODES.hide;
+}
+
+/**
+ * Whether ignored particles stay in the chart in the given mode.
+ */
+function keepsIgnoredParticles(name) {
+  return getFilterModeCode(name) !== FILTER_MODES.hide;
+}
+
+/**
+ * Returns `{color, opacity}` of a column with the given average color, the same way
+ * the vertex shader renders its particles. Hidden columns get null.
+ */
+function getColumnStyle(r, g, b, isIgnored, name, dimmedAlpha) {
+  var mode = isIgnored ? getFilterModeCode(name) : -1;
+  if (mode === FILTER_MODES.hide) return null;
+  if (mode === FILTER_MODES.grayscale) {
+    r = g = b = Math.round(0.2126 * r + 0.7152 * g + 0.0722 * b);
+  }
+
+  return {
+    color: `rgb(${r}, ${g}, ${b})`,
+    opacity: mode === FILTER_MODES.dim ? dimmedAlpha : 1
+  };
+}
+
+function encodeIgnoredX(x) {
+  return -1 - x;
+}
+
+/**
+ * Returns x of a particle in the chart, or -1 when the particle is hidden.
+ */
+function decodeX(x, name) {
+  if (x >= 0) return x;
+  return keepsIgnoredParticles(name) ? -1 - x : -1;
+}
@@ -10,7 +10,8 @@ module.exports = {
   bindAttribute: bindAttribute,
   createProgram: createProgram,
   createShader: createShader,
-  createTexture: createTexture
+  createTexture: createTexture,
+  createRenderTarget: createRenderTarget
 }
 
 function bindTexture(gl, texture, unit) {
@@ -34,6 +35,49 @@ function createTexture(gl, image) {
   return texture;
 }
 
+/**
+ * Creates a framebuffer with a texture of a given size attached to it, and binds it,
+ * so that subsequent draw calls render into the texture instead of the canvas.
+ * The framebuffer also has a depth buffer, for layouts that use depth test.
+ * Call `dispose()` to release resources and to bind the canvas back.
+ */
+function createRenderTarget(gl, width, height) {
+  var texture = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+
+  var framebuffer = gl.createFramebuffer();
+  gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+
+  var depthBuffer = gl.createRenderbuffer();
+  gl.bindRenderbuffer(gl.RENDERBUFFER, depthBuffer);
+  gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, width, height);
+  gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, depthBuffer);
+
+  if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+    dispose();
+    throw new Error('Cannot create render target of size ' + width + 'x' + height);
+  }
+
+  return {
+    framebuffer: framebuffer,
+    texture: texture,
+    dispose: dispose
+  };
+
+  function dispose() {
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.deleteFramebuffer(framebuffer);
+    gl.deleteRenderbuffer(depthBuffer);
+    gl.deleteTexture(texture);
+  }
+}
+
 function createBuffer(gl, data) {
   var buffer = gl.createBuffer();
   gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
@@ -1,5 +1,24 @@
-var {rgbToHsl} = require('./colors');
+var colors = require('./colors');
+var rgbToHsl = colors.rgbToHsl;
 
+// Perceptual components have different ranges. To keep charts comparable
+// between images, we map them to [0, 1] using bounds of the sRGB gamut.
+var LAB_A_RANGE = [-86.19, 98.24];
+var LAB_B_RANGE = [-107.87, 94.48];
+var LAB_MAX_CHROMA = 133.81;
+var OKLAB_A_RANGE = [-0.234, 0.277];
+var OKLAB_B_RANGE = [-0.312, 0.199];
+var OKLAB_MAX_CHROMA = 0.323;
+
+// Size of the window (in pixels) that local texture functions look at.
+var TEXTURE_RADIUS = 2;
+var ENTROPY_BINS = 16;
+
+/**
+ * Each group function receives color of a pixel `(r, g, b)`, its coordinates
+ * `(x, y)` and an `image` accessor (see createPixelAccessor.js) to look at the
+ * neighbors. Values should be in [0, 1] range, unless `normalize` is set.
+ */
 module.exports = {
   'rgb.r': {
     getValue(r, g, b) { return r/255; },
@@ -25,12 +44,96 @@ module.exports = {
     getValue(r, g, b) { return rgbToHsl(r, g, b, 2); },
     name: 'Lightness'
   },
+  'hsv.v': {
+    getValue(r, g, b) { return colors.rgbToHsv(r, g, b, 2); },
+    name: 'Value (HSV)'
+  },
+  'lab.l': {
+    getValue(r, g, b) { return colors.rgbToLab(r, g, b, 0)/100; },
+    name: 'Lightness (L*)'
+  },
+  'lab.a': {
+    getValue(r, g, b) { return toRange(colors.rgbToLab(r, g, b, 1), LAB_A_RANGE); },
+    name: 'Green-red (a*)'
+  },
+  'lab.b': {
+    getValue(r, g, b) { return toRange(colors.rgbToLab(r, g, b, 2), LAB_B_RANGE); },
+    name: 'Blue-yellow (b*)'
+  },
+  'lch.c': {
+    getValue(r, g, b) { return clamp(colors.rgbToLch(r, g, b, 1)/LAB_MAX_CHROMA); },
+    name: 'Chroma (LCh)'
+  },
+  'lch.h': {
+    getValue(r, g, b) { return colors.rgbToLch(r, g, b, 2)/360; },
+    name: 'Hue (LCh)'
+  },
+  'oklab.l': {
+    getValue(r, g, b) { return clamp(colors.rgbToOklab(r, g, b, 0)); },
+    name: 'Lightness (OKLab)'
+  },
+  'oklab.a': {
+    getValue(r, g, b) { return toRange(colors.rgbToOklab(r, g, b, 1), OKLAB_A_RANGE); },
+    name: 'Green-red (OKLab)'
+  },
+  'oklab.b': {
+    getValue(r, g, b) { return toRange(colors.rgbToOklab(r, g, b, 2), OKLAB_B_RANGE); },
+    name: 'Blue-yellow (OKLab)'
+  },
+  'oklch.c': {
+    getValue(r, g, b) { return clamp(colors.rgbToOklch(r, g, b, 1)/OKLAB_MAX_CHROMA); },
+    name: 'Chroma (OKLCh)'
+  },
+  'oklch.h': {
+    getValue(r, g, b) { return colors.rgbToOklch(r, g, b, 2)/360; },
+    name: 'Hue (OKLCh)'
+  },
+  'luma.709': {
+    getValue(r, g, b) { return colors.luma(r, g, b, '709'); },
+    name: 'Luma (Rec. 709)'
+  },
+  'luma.2020': {
+    getValue(r, g, b) { return colors.luma(r, g, b, '2020'); },
+    name: 'Luma (Rec. 2020)'
+  },
   'avg.rgb': {
     getValue(r, g, b) { 
       return (r/255 + g/255 + b/255)/3;
     },
     name: 'Average color'
   },
+  'pos.x': {
+    getValue(r, g, b, x, y, image) { return x/Math.max(1, image.width - 1); },
+    name: 'X position'
+  },
+  'pos.y': {
+    getValue(r, g, b, x, y, image) { return y/Math.max(1, image.height - 1); },
+    name: 'Y position'
+  },
+  'pos.center': {
+    getValue(r, g, b, x, y, image) {
+      var dx = x - (image.width - 1)/2;
+      var dy = y - (image.height - 1)/2;
+      return Math.sqrt(dx * dx + dy * dy);
+    },
+    normalize: true,
+    name: 'Distance from center'
+  },
+  'edge.sobel': {
+    getValue(r, g, b, x, y, image) { return getSobelMagnitude(x, y, image); },
+    normalize: true,
+    name: 'Edge strength (Sobel)'
+  },
+  'texture.contrast': {
+    getValue(r, g, b, x, y, image) { return getLocalContrast(x, y, image); },
+    normalize: true,
+    name: 'Local contrast'
+  },
+  'texture.entropy': {
+    getValue(r, g, b, x, y, image) { return getLocalEntropy(x, y, image); },
+    normalize: true,
+    name: 'Local entropy'
+  },
   'harmonic.rgb': {
     getValue(r, g, b) { 
       return 3/(1/r + 1/g + 1/b); 
@@ -38,4 +141,66 @@ module.exports = {
     normalize: true,
     name: 'Harmonic average'
   }
-}
\ No newline at end of file
+}
+
+function toRange(value, range) {
+  return clamp((value - range[0])/(range[1] - range[0]));
+}
+
+function clamp(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+function getSobelMagnitude(x, y, image) {
+  var topLeft = image.getLuminance(x - 1, y - 1);
+  var top = image.getLuminance(x, y - 1);
+  var topRight = image.getLuminance(x + 1, y - 1);
+  var left = image.getLuminance(x - 1, y);
+  var right = image.getLuminance(x + 1, y);
+  var bottomLeft = image.getLuminance(x - 1, y + 1);
+  var bottom = image.getLuminance(x, y + 1);
+  var bottomRight = image.getLuminance(x + 1, y + 1);
+
+  var gx = (topRight + 2 * right + bottomRight) - (topLeft + 2 * left + bottomLeft);
+  var gy = (bottomLeft + 2 * bottom + bottomRight) - (topLeft + 2 * top + topRight);
+  return Math.sqrt(gx * gx + gy * gy);
+}
+
+// Standard deviation of luminance around the pixel.
+function getLocalContrast(x, y, image) {
+  var sum = 0, sumOfSquares = 0, count = 0;
+  for (var dy = -TEXTURE_RADIUS; dy <= TEXTURE_RADIUS; ++dy) {
+    for (var dx = -TEXTURE_RADIUS; dx <= TEXTURE_RADIUS; ++dx) {
+      var value = image.getLuminance(x + dx, y + dy);
+      sum += value;
+      sumOfSquares += value * value;
+      count += 1;
+    }
+  }
+
+  var mean = sum/count;
+  return Math.sqrt(Math.max(0, sumOfSquares/count - mean * mean));
+}
+
+// Shannon entropy (in bits) of the luminance histogram around the pixel.
+var entropyBins = new Uint32Array(ENTROPY_BINS);
+
+function getLocalEntropy(x, y, image) {
+  entropyBins.fill(0);
+  var count = 0;
+  for (var dy = -TEXTURE_RADIUS; dy <= TEXTURE_RADIUS; ++dy) {
+    for (var dx = -TEXTURE_RADIUS; dx <= TEXTURE_RADIUS; ++dx) {
+      var bin = Math.min(ENTROPY_BINS - 1, Math.floor(image.getLuminance(x + dx, y + dy) * ENTROPY_BINS));
+      entropyBins[bin] += 1;
+      count += 1;
+    }
+  }
+
+  var entropy = 0;
+  for (var i = 0; i < ENTROPY_BINS; ++i) {
+    if (entropyBins[i] === 0) continue;
+    var p = entropyBins[i]/count;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
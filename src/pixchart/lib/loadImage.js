@@ -1,7 +1,14 @@
 module.exports = loadImage;
 
+/**
+ * When `options.scaleImage` is set, large images are scaled down to `options.maxPixels`.
+ * If `options.pixelsCount` is given, the image is scaled to have that many pixels instead,
+ * e.g. to match another image. Aspect ratio is kept, so that colors are not distorted.
+ */
 function loadImage(imageObject, options) {
   options = options || {};
+  if (imageObject.getVideo) return loadVideoFrame(imageObject, options);
+
   var resolveImage, rejectImage;
   var scaleImage = options.scaleImage;
   var maxPixels = options.maxPixels;
@@ -27,17 +34,62 @@ function loadImage(imageObject, options) {
 
   function scale(image) {
     // scaling image may change/distort colors.
-    if (!maxPixels) {
-      // TODO: Not sure if this is bad or good.
-      maxPixels = Math.min(window.innerWidth * window.innerHeight , 640 * 640) * window.devicePixelRatio;
-    }
+    var size = getSize(image.width, image.height, options);
+    image.width = size.width;
+    image.height = size.height;
+  }
+}
 
-    var ar = image.width/image.height;
-    var h0 = Math.ceil(Math.sqrt(maxPixels * ar));
-    var w0 = Math.ceil(maxPixels / h0);
-    if (h0 < image.height || w0 < image.width) {
-      image.width = h0;
-      image.height = w0;
+/**
+ * Takes a snapshot of the current frame of a live source (e.g. a camera) or
+ * of a video file, and resolves it as a canvas, so that it can be used just
+ * like an image.
+ */
+function loadVideoFrame(imageObject, options) {
+  return imageObject.getVideo().then(video => {
+    var width = video.videoWidth;
+    var height = video.videoHeight;
+    if (options.scaleImage) {
+      var size = getSize(width, height, options);
+      width = size.width;
+      height = size.height;
     }
+
+    var snapshot = document.createElement('canvas');
+    snapshot.width = width;
+    snapshot.height = height;
+    snapshot.getContext('2d').drawImage(video, 0, 0, width, height);
+    return snapshot;
+  });
+}
+
+function getSize(width, height, options) {
+  if (options.pixelsCount) return getSizeForPixelsCount(width, height, options.pixelsCount);
+
+  return getScaledSize(width, height, options.maxPixels);
+}
+
+function getSizeForPixelsCount(width, height, pixelsCount) {
+  // Smaller images are scaled up, so that both histograms count the same number of pixels.
+  var scale = Math.sqrt(pixelsCount / (width * height));
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+}
+
+function getScaledSize(width, height, maxPixels) {
+  if (!maxPixels) {
+    // TODO: Not sure if this is bad or good.
+    maxPixels = Math.min(window.innerWidth * window.innerHeight , 640 * 640) * window.devicePixelRatio;
   }
-}
\ No newline at end of file
+
+  var ar = width/height;
+  var h0 = Math.ceil(Math.sqrt(maxPixels * ar));
+  var w0 = Math.ceil(maxPixels / h0);
+  if (h0 < height || w0 < width) {
+    return {width: h0, height: w0};
+  }
+
+  return {width, height};
+}
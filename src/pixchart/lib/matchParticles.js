@@ -0,0 +1,107 @@
+/**
+ * Pairs particles of two images, so that the chart of one image can morph into
+ * the chart of another. Particles of both images are ordered by their position
+ * in the collapsed chart: by x first, and by row inside of each column. Particles
+ * with the same rank become a pair, so they don't cross paths during the morph.
+ *
+ * Images may have different pixels count. Then each particle of the next image
+ * takes the particle of the previous image at the same relative rank.
+ */
+var filterModes = require('./filterModes');
+
+module.exports = matchParticles;
+
+/**
+ * @param {Object} from - particles of the previous image
+ * @param {Object} to - particles of the next image
+ * @returns {Object} `particleAttributes` and `columnHeights` of the previous
+ * particles, placed into the slots of their pairs in the next particles.
+ */
+function matchParticles(from, to) {
+  var fromOrder = getVisibleSlots(getSortedSlots(from), from);
+  var toOrder = getSortedSlots(to);
+  var fromCount = fromOrder.length;
+  var toCount = toOrder.length;
+
+  var particleAttributes = new Float32Array(toCount * 4);
+  var columnHeights = new Float32Array(toCount);
+
+  for (var rank = 0; rank < toCount; ++rank) {
+    var toSlot = toOrder[rank];
+    var fromSlot = fromOrder[Math.floor(rank * fromCount / toCount)];
+    for (var i = 0; i < 4; ++i) {
+      particleAttributes[toSlot * 4 + i] = from.particleAttributes[fromSlot * 4 + i];
+    }
+    columnHeights[toSlot] = from.columnHeights[fromSlot];
+  }
+
+  return {
+    particleAttributes,
+    columnHeights
+  };
+}
+
+/**
+ * Drops hidden particles from the sorted slots, so that particles of the next
+ * chart don't appear out of nowhere. Unless everything is hidden.
+ */
+function getVisibleSlots(sortedSlots, particles) {
+  var attributes = particles.particleAttributes;
+  var firstVisible = 0;
+  while (firstVisible < sortedSlots.length &&
+    filterModes.decodeX(attributes[sortedSlots[firstVisible] * 4], particles.filterMode) < 0) {
+    firstVisible += 1;
+  }
+
+  return firstVisible < sortedSlots.length ? sortedSlots.subarray(firstVisible) : sortedSlots;
+}
+
+/**
+ * Returns slots of particles, ordered by x in the chart, and by row when x is
+ * the same. Hidden particles come first.
+ *
+ * This is a radix sort with two counting passes (rows first, then quantized x),
+ * so that large images don't freeze the page.
+ */
+function getSortedSlots(particles) {
+  var attributes = particles.particleAttributes;
+  var count = attributes.length / 4;
+  // One x level per particle is fine enough to tell columns apart.
+  var xLevelsCount = count + 1;
+  // Level of each slot. Zero is reserved for hidden particles.
+  var xLevels = new Uint32Array(count);
+  var rows = new Uint32Array(count);
+  var rowsCount = 1;
+  var slots = new Uint32Array(count);
+
+  for (var slot = 0; slot < count; ++slot) {
+    var x = filterModes.decodeX(attributes[slot * 4], particles.filterMode);
+    xLevels[slot] = x < 0 ? 0 : 1 + Math.min(count - 1, Math.floor(x * count));
+    var row = Math.max(0, Math.floor(attributes[slot * 4 + 1]));
+    rows[slot] = row;
+    if (row >= rowsCount) rowsCount = row + 1;
+    slots[slot] = slot;
+  }
+
+  // Counting sort is stable, so the pass by x keeps rows in order inside each level.
+  return countingSort(countingSort(slots, rows, rowsCount), xLevels, xLevelsCount);
+}
+
+/**
+ * Stable sort of `slots` by `keys[slot]`, where keys are in [0, keysCount) range.
+ */
+function countingSort(slots, keys, keysCount) {
+  // Number of slots per key. After the counting pass it turns into the next free rank of a key.
+  var offsets = new Uint32Array(keysCount + 1);
+  var i;
+  for (i = 0; i < slots.length; ++i) offsets[keys[slots[i]] + 1] += 1;
+  for (i = 1; i < offsets.length; ++i) offsets[i] += offsets[i - 1];
+
+  var sorted = new Uint32Array(slots.length);
+  for (i = 0; i < slots.length; ++i) {
+    var slot = slots[i];
+    sorted[offsets[keys[slot]]++] = slot;
+  }
+
+  return sorted;
+}
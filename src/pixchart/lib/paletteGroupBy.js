@@ -0,0 +1,93 @@
+/**
+ * Groups pixels by their nearest dominant color. Unlike other group functions,
+ * this one needs to see the whole image first, so it is created per image.
+ *
+ * Supported group by names:
+ *  - `palette.hue` - one column per palette color, sorted by hue;
+ *  - `palette.count` - same, but the most popular colors come first.
+ */
+var extractPalette = require('./extractPalette');
+var rgbToHsl = require('./colors').rgbToHsl;
+
+var PREFIX = 'palette.';
+var DEFAULT_PALETTE_SIZE = 12;
+// Palette extraction and nearest color search slow down with each color.
+var MAX_PALETTE_SIZE = 256;
+
+var sorters = {
+  hue: (a, b) => (a.hue - b.hue) || (a.lightness - b.lightness),
+  count: (a, b) => b.count - a.count
+};
+
+module.exports = {
+  isPaletteGroupBy,
+  createGroupByFunction,
+  DEFAULT_PALETTE_SIZE,
+  MAX_PALETTE_SIZE
+};
+
+function isPaletteGroupBy(groupBy) {
+  return typeof groupBy === 'string' && groupBy.indexOf(PREFIX) === 0;
+}
+
+/**
+ * @param {String} groupBy - one of the `palette.*` names
+ * @param {Uint8ClampedArray} pixels - rgba values of the image
+ * @param {Number} [paletteSize] - how many dominant colors to extract
+ * @param {Uint8ClampedArray} [colors] - [r, g, b] triplets of an already extracted
+ * palette (e.g. of another image). When set, pixels are not used.
+ */
+function createGroupByFunction(groupBy, pixels, paletteSize, colors) {
+  var sorter = sorters[groupBy.substr(PREFIX.length)];
+  if (!sorter) throw new Error('Unknown group by function');
+
+  if (!colors) colors = getSortedColors(extractPalette(pixels, paletteSize || DEFAULT_PALETTE_SIZE), sorter);
+  var colorsCount = colors.length / 3;
+
+  return {
+    name: 'Dominant color',
+    normalizeV: false,
+    colors,
+    getValue(r, g, b) {
+      // `i / colorsCount` puts pixel exactly into the bucket number `i`.
+      return getNearestColorIndex(r, g, b) / colorsCount;
+    }
+  };
+
+  function getNearestColorIndex(r, g, b) {
+    var nearest = 0;
+    var minDistance = Number.POSITIVE_INFINITY;
+    for (var i = 0; i < colorsCount; ++i) {
+      var dr = r - colors[i * 3 + 0];
+      var dg = g - colors[i * 3 + 1];
+      var db = b - colors[i * 3 + 2];
+      var distance = dr * dr + dg * dg + db * db;
+      if (distance < minDistance) {
+        minDistance = distance;
+        nearest = i;
+      }
+    }
+    return nearest;
+  }
+}
+
+/**
+ * Orders palette entries with `sorter`, and returns them as [r, g, b] triplets.
+ */
+function getSortedColors(palette, sorter) {
+  palette.forEach(color => {
+    // Grays have no hue, so we let lightness order them.
+    color.hue = color.r === color.g && color.g === color.b ? -1 : rgbToHsl(color.r, color.g, color.b, 0);
+    color.lightness = rgbToHsl(color.r, color.g, color.b, 2);
+  });
+  palette.sort(sorter);
+
+  // [r, g, b] triplets of palette entries, in the same order as buckets.
+  var colors = new Uint8ClampedArray(palette.length * 3);
+  palette.forEach((color, i) => {
+    colors[i * 3 + 0] = color.r;
+    colors[i * 3 + 1] = color.g;
+    colors[i * 3 + 2] = color.b;
+  });
+  return colors;
+}
@@ -0,0 +1,31 @@
+/**
+ * Computes particles attributes off the UI thread. The main thread sends
+ * pixels of an image, and receives back `particleAttributes` as a transferable
+ * buffer. See loadParticles.js for the other side of this conversation.
+ */
+var createParticleProcessor = require('./createParticleProcessor');
+
+// How often (in milliseconds) we report progress back to the main thread.
+var PROGRESS_INTERVAL_MS = 100;
+
+self.onmessage = function(e) {
+  var {pixels, width, height, settings} = e.data;
+  if (settings.ignoredBuckets) settings.ignoredBuckets = new Set(settings.ignoredBuckets);
+
+  var processor = createParticleProcessor(new Uint8ClampedArray(pixels), width, height, settings);
+  while (!processor.step(PROGRESS_INTERVAL_MS)) {
+    self.postMessage({
+      type: 'progress',
+      processedPixels: processor.getProcessedPixelsCount()
+    });
+  }
+
+  var result = processor.getResult();
+  self.postMessage({
+    type: 'done',
+    result
+  }, [
+    result.particleAttributes.buffer, result.columnHeights.buffer,
+    result.buckets.buffer, result.bucketAverageColors.buffer
+  ]);
+};
@@ -4,21 +4,62 @@ module.exports = function getShaderCode(customParticleInterpolation) {
   return `
 precision highp float;
 uniform sampler2D u_image;
+// Image of the previous particles, when we morph from one chart to another.
+uniform sampler2D u_prev_image;
 
 // Everything we need to know about frame
 // [0] - currentFrameNumber
 // [1] - minFrame value
 // [2] - maxFrame value
 uniform vec4 u_frame;
-uniform float u_max_y_value;
 uniform vec2 mouse_pos;
 uniform vec4 u_sizes;
 
+// Morph of the chart from the previous particles to the current ones
+// [0] - progress of the morph (1 - no morph)
+// [1] - scaled max y value of the previous particles
+uniform vec2 u_morph;
+// Size (width, height) of the image of the previous particles. Images of different
+// sizes can be morphed when their particles are matched (see matchParticles.js)
+uniform vec2 u_prev_sizes;
+
+// Scale of the y axis
+// [0] - 0 - linear, 1 - log, 2 - square root, 3 - percentage of all pixels
+// [1] - scaled height of the y axis (see yScales.js)
+uniform vec2 u_y_scale;
+
+// How the chart is laid out: 0 - bars along x axis, 1 - polar (buckets go around
+// a circle by angle, and stack outward), 2 - particles are placed in a 3D color space.
+uniform float u_layout;
+
+// Where bars are drawn: 0 - whole chart area, 1 - upper half (columns grow up from
+// the middle), -1 - lower half (columns grow down from the middle).
+uniform float u_chart_placement;
+
+// Color space of the 3D layout: 0 - RGB cube, 1 - HSV cylinder, 2 - OKLab.
+uniform float u_color_space;
+
+// How particles of ignored buckets are rendered (see filterModes.js)
+// [0] - 0 - hidden, 1 - dimmed, 2 - grayscale
+// [1] - opacity of dimmed particles
+uniform vec2 u_filter;
+
+// Orbit camera of the 3D layout
+// [0] - yaw (rotation around vertical axis)
+// [1] - pitch (rotation around horizontal axis)
+// [2] - zoom
+uniform vec3 u_camera;
+
 // [0] is x coordinate of a particle
 // [1] is y coordinate of a particle
 // [2] is particle lifespan
 // [3] is particle index in the texture.
 attribute vec4 a_particle;
+// Same as a_particle, but for the particles we morph from.
+attribute vec4 a_prev_particle;
+// Height (in rows) of the column that particle belongs to. 0 when there is no column.
+attribute float a_column_height;
+attribute float a_prev_column_height;
 
 varying vec4 v_color;
 
@@ -112,6 +153,110 @@ float snoise(vec2 v) {
   return 130.0 * dot(m, g);
 }
 
+vec3 srgb_to_linear(vec3 c) {
+  return mix(c / 12.92, pow((c + 0.055) / 1.055, vec3(2.4)), step(0.04045, c));
+}
+
+// https://bottosson.github.io/posts/oklab/
+vec3 rgb2oklab(vec3 c) {
+  c = srgb_to_linear(c);
+  vec3 lms = vec3(
+    0.4122214708 * c.r + 0.5363325363 * c.g + 0.0514459929 * c.b,
+    0.2119034982 * c.r + 0.6806995451 * c.g + 0.1073969566 * c.b,
+    0.0883024619 * c.r + 0.2817188376 * c.g + 0.6299787005 * c.b
+  );
+  lms = pow(lms, vec3(1. / 3.));
+
+  return vec3(
+    0.2104542553 * lms.x + 0.7936177850 * lms.y - 0.0040720468 * lms.z,
+    1.9779984951 * lms.x - 2.4285922050 * lms.y + 0.4505937099 * lms.z,
+    0.0259040371 * lms.x + 0.7827717662 * lms.y - 0.8086757660 * lms.z
+  );
+}
+
+// Position of a color inside of [-1, 1] cube. Y axis goes up.
+vec3 get_color_position(vec3 rgb) {
+  if (u_color_space == 1.) {
+    vec3 hsv = rgb2hsv(rgb);
+    float angle = 6.283185307179586 * hsv.x;
+    return vec3(cos(angle) * hsv.y, 2. * hsv.z - 1., sin(angle) * hsv.y);
+  }
+  if (u_color_space == 2.) {
+    vec3 lab = rgb2oklab(rgb);
+    // a and b stay roughly within [-0.3, 0.3]
+    return vec3(lab.y * 3., 2. * lab.x - 1., lab.z * 3.);
+  }
+
+  return 2. * rgb - 1.;
+}
+
+// Rotates the point by the orbit camera, and projects it onto the screen.
+// Returns x, y in clip space, and the depth in z.
+vec3 project(vec3 p, const float factor, const vec2 image_size) {
+  float cos_yaw = cos(u_camera.x), sin_yaw = sin(u_camera.x);
+  p = vec3(cos_yaw * p.x + sin_yaw * p.z, p.y, -sin_yaw * p.x + cos_yaw * p.z);
+  float cos_pitch = cos(u_camera.y), sin_pitch = sin(u_camera.y);
+  p = vec3(p.x, cos_pitch * p.y - sin_pitch * p.z, sin_pitch * p.y + cos_pitch * p.z);
+
+  // Camera sits at z = 4 and looks at the origin.
+  float perspective = 4. / (4. - p.z);
+  vec2 screen = p.xy * perspective * u_camera.z * 0.45 * factor * min(image_size.x, image_size.y)/u_sizes.zw;
+  return vec3(screen, -p.z / 4.);
+}
+
+float scale_height(const float height) {
+  if (u_y_scale[0] == 1.) return log(1. + height);
+  if (u_y_scale[0] == 2.) return sqrt(height);
+  return height;
+}
+
+// Height of the particle in the chart, from 0 to 1. Particles keep their
+// order inside a column, while the column itself is scaled.
+float get_height(const vec4 particle, const float column_height, const float max_y) {
+  if (column_height <= 0.) return particle.y/max_y;
+  return particle.y/column_height * scale_height(column_height)/max_y;
+}
+
+// Scale of the image that fits into the scene.
+float get_factor(const vec2 image_size) {
+  return min(u_sizes[3]/image_size.y, u_sizes[2]/image_size.x);
+}
+
+// Where the particle should end up in the collapsed state. z is the depth,
+// and it is only used by the 3D layout. The chart area depends on the image size.
+vec3 get_target(const vec4 particle, const float column_height, const float max_y, const vec2 image_size, const vec3 rgb) {
+  float factor = get_factor(image_size);
+  if (u_layout == 2.) {
+    return project(get_color_position(rgb), factor, image_size);
+  }
+  float height = get_height(particle, column_height, max_y);
+  if (u_layout == 1.) {
+    float angle = 6.283185307179586 * particle.x;
+    // Small hole in the middle, so that buckets don't collapse into a single point.
+    float radius = mix(0.2, 1., height) * 0.9;
+    // Circle should stay round, so both axes are scaled by the smaller side of the image.
+    return vec3(vec2(cos(angle), sin(angle)) * radius * factor * min(image_size.x, image_size.y)/u_sizes.zw, 0.);
+  }
+
+  float y = u_chart_placement == 0. ? 2. * height - 1. : u_chart_placement * height;
+  return vec3(vec2(
+    (2. * (particle.x)   - 1.) * 0.9,
+    y * 0.9
+  ) * factor * image_size/u_sizes.zw, 0.); 
+}
+
+// Ignored particles that stay in the chart keep their x encoded as -1 - x.
+vec4 decode_particle(vec4 particle) {
+  if (particle.x < 0. && u_filter[0] > 0.) particle.x = -1. - particle.x;
+  return particle;
+}
+
+vec4 get_filtered_color(vec4 color) {
+  if (u_filter[0] == 1.) return vec4(color.rgb, color.a * u_filter[1]);
+  if (u_filter[0] == 2.) return vec4(vec3(dot(color.rgb, vec3(0.2126, 0.7152, 0.0722))), color.a);
+  return vec4(color.rgb, 0.);
+}
+
 vec2 cmpxmul(in vec2 a, in vec2 b) {
 	return vec2(a.x * b.x - a.y * b.y, a.y * b.x + a.x * b.y);
 }
@@ -128,16 +273,13 @@ void main() {
     v_color.a = 0.;
   }
 
-  float factor = min(u_sizes[3]/u_sizes[1], u_sizes[2]/u_sizes[0]);
+  float factor = get_factor(u_sizes.xy);
   vec2 source = vec2(
     (2. * (texture_pos.x) - 1.),
     1. - 2.* texture_pos.y
   ) * factor * u_sizes.xy/u_sizes.zw;
 
-  vec2 target = vec2(
-    (2. * (a_particle.x)   - 1.) * 0.9,
-    (2. * a_particle.y/(u_max_y_value) - 1.) * 0.9
-  ) * factor * u_sizes.xy/u_sizes.zw; 
+  vec3 target_and_depth = get_target(decode_particle(a_particle), a_column_height, u_y_scale[1], u_sizes.xy, v_color.rgb);
   
 
 // This particle is allowed to live timeSpan steps, while current frame (u_frame[0]) is
@@ -151,15 +293,26 @@ void main() {
     // these particles are filtered out.
     // target.x = 0.; //source.x; //cos(atan(source.y, source.x)) * 2.;
     // target.y = 0.; //source.y; //sin(atan(source.y, source.x)) * 2.;
-    v_color.a = 0.; //mix(0.1, 0., t);
+    v_color = get_filtered_color(v_color); //mix(0.1, 0., t);
+  }
+
+  if (u_morph[0] < 1.) {
+    // Index of the previous particle points into the previous image.
+    vec2 prev_texture_pos = vec2(
+      fract(a_prev_particle[3] / u_prev_sizes.x) + 0.5/u_prev_sizes.x,
+      floor(a_prev_particle[3] / u_prev_sizes.x)/(u_prev_sizes.y) + 0.5/u_prev_sizes.y
+    );
+    vec4 prev_color = texture2D(u_prev_image, prev_texture_pos);
+    vec3 prev_target = get_target(decode_particle(a_prev_particle), a_prev_column_height, u_morph[1], u_prev_sizes, prev_color.rgb);
+    if (a_prev_particle.x < 0.) prev_color = get_filtered_color(prev_color);
+
+    float morph_t = bease(u_morph[0], vec2(0., 0.19), vec2(0.61, 1));
+    target_and_depth = mix(prev_target, target_and_depth, morph_t);
+    v_color = mix(prev_color, v_color, morph_t);
   }
 
-  // // This would give 3d
+  vec2 target = target_and_depth.xy;
   vec3 h = rgb2hsv(v_color.rgb);
-  // float z = mix(0., h[0], t);
-  // float zCam = 2.;
-  // target.x = -target.x/(z - zCam);
-  // target.y = -target.y/(z - zCam);
 
   // we want to have fast start/slow cool down on each animation phase
   float tmin = 1. - t;
@@ -169,7 +322,9 @@ void main() {
   //v_color.a = mix(1.0, 0.8, t);
   //gl_Position = vec4(dest, 0, 1);
   //gl_Position = vec4(dest, 0, 1);
-  gl_Position = vec4(dest, 0, 1);
+  // The image is flat, so depth grows as particles get closer to their target.
+  float target_weight = u_frame[3] == 2. ? tmin : t;
+  gl_Position = vec4(dest, target_and_depth.z * target_weight, 1);
   gl_PointSize = max(1., ceil(factor));//= mix(srcSize, destSize, t);
 }
 `
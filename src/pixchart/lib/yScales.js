@@ -0,0 +1,74 @@
+/**
+ * Scales of the y axis. A single dominant bucket (e.g. white sky) squashes
+ * every other column in the linear scale, so we can also use:
+ *
+ *  - `log` - height of a column is proportional to `log(1 + rows)`;
+ *  - `sqrt` - height of a column is proportional to `sqrt(rows)`;
+ *  - `percent` - y axis shows share of all pixels, and ends at a round percentage.
+ *
+ * The vertex shader does the same math with particles (see `scale_height()`).
+ */
+var Y_SCALES = {
+  linear: 0,
+  log: 1,
+  sqrt: 2,
+  percent: 3
+};
+
+// Top of the percentage axis is rounded up to one of these values.
+var PERCENT_STEPS = [1, 2, 5, 10, 20, 25, 50, 75, 100];
+
+module.exports = {
+  Y_SCALES,
+  getYScaleCode,
+  scaleHeight,
+  getScaledMax,
+  getPercentAxisTop
+};
+
+function getYScaleCode(name) {
+  return Y_SCALES.hasOwnProperty(name) ? Y_SCALES[name] : Y_SCALES.linear;
+}
+
+/**
+ * Applies scale to a height (in rows, or in pixels count) of a column.
+ */
+function scaleHeight(name, height) {
+  if (name === 'log') return Math.log(1 + height);
+  if (name === 'sqrt') return Math.sqrt(height);
+  return height;
+}
+
+/**
+ * Returns scaled height of the y axis for the `particles`. Scaled height of a
+ * column divided by this value gives the column height in [0, 1].
+ *
+ * `maxYValue` (in rows) replaces the tallest column of the `particles`, so that
+ * several charts can share the same axis.
+ */
+function getScaledMax(name, particles, maxYValue) {
+  // Rows of the joint histogram come from a grouping function, not from counts.
+  if (particles.yGroupByFunctionName) return particles.maxYValue;
+
+  if (typeof maxYValue !== 'number') maxYValue = particles.maxYValue;
+  if (name === 'percent') {
+    var pixelsCount = particles.particleAttributes.length / 4;
+    return getPercentAxisTop(particles, maxYValue) / 100 * pixelsCount / particles.bucketWidth;
+  }
+  // Single row charts have max y value 0. Avoid division by zero.
+  return scaleHeight(name, maxYValue) || 1;
+}
+
+/**
+ * Returns percentage (e.g. 25) at the top of the percentage y axis.
+ */
+function getPercentAxisTop(particles, maxYValue) {
+  if (typeof maxYValue !== 'number') maxYValue = particles.maxYValue;
+
+  var pixelsCount = particles.particleAttributes.length / 4;
+  var largestShare = 100 * (maxYValue + 1) * particles.bucketWidth / pixelsCount;
+  for (var i = 0; i < PERCENT_STEPS.length; ++i) {
+    if (largestShare <= PERCENT_STEPS[i]) return PERCENT_STEPS[i];
+  }
+  return 100;
+}
@@ -10,11 +10,45 @@ var createFileDropHandler = require('./lib/fileDrop');
 var formatNumber = require('./lib/formatNumber');
 var getBestMaxPixels = require('./lib/getBestMaxPixels');
 var customInterpolation = require('./lib/customInterpolation');
+var recordVideo = require('./lib/recordVideo');
+var renderGif = require('./lib/renderGif');
+var renderPngFrames = require('./lib/renderPngFrames');
+var renderStill = require('./lib/renderStill');
+var makeHistogramSvg = require('./lib/makeHistogramSvg');
+var makeChartAxes = require('./lib/makeChartAxes');
+var chartLabels = require('./lib/chartLabels');
+var describeHoverTarget = require('./lib/describeHoverTarget');
+var downloadBlob = require('./lib/downloadBlob');
+var createSyntheticStream = require('./lib/createSyntheticStream');
+var createOrbitControls = require('./lib/createOrbitControls');
+var createChartBrush = require('./lib/createChartBrush');
+var createComparison = require('./lib/createComparison');
+var createSmallMultiples = require('./lib/createSmallMultiples');
+var groupFunctions = require('./pixchart/lib/groupFunctions');
+var customGroupBy = require('./pixchart/lib/customGroupBy');
+var paletteGroupBy = require('./pixchart/lib/paletteGroupBy');
+var filterModes = require('./pixchart/lib/filterModes');
 var bus = require('./bus');
 
 var DEFAULT_ANIMATION_DURATION = 4.0; // in seconds, because visible to users
 var DEFAULT_BUCKET_COUNT = 510;
+// Sorting inside buckets keeps 256 counters per bucket. Charts are rarely wider
+// than this many pixels, so more buckets wouldn't be visible anyway.
+var MAX_BUCKET_COUNT = 4096;
+var DEFAULT_VIDEO_SAMPLING_INTERVAL = 1; // in seconds
+// Shorter intervals would process almost every frame of a video.
+var MIN_VIDEO_SAMPLING_INTERVAL = 0.1; // in seconds
 var PAUSE_BETWEEN_CYCLES = 1000; // in milliseconds, because for developers
+// GIF frames are quantized one by one on the UI thread, so GIFs are smaller
+// and shorter than other exports. Otherwise a 4K export freezes the tab for minutes.
+var MAX_GIF_PIXELS = 640 * 360;
+var MAX_GIF_FPS = 15;
+var MAX_GIF_FRAMES_PER_PHASE = 60;
+// Protects from huge ranges of ignored buckets in hand written URLs.
+var MAX_IGNORED_RANGE_LENGTH = 100000;
+// Each cell of the small multiples grid has its own WebGL context, and browsers
+// limit how many of them can be alive.
+var MAX_SMALL_MULTIPLES = 8;
 var qs = queryState({
   d: DEFAULT_ANIMATION_DURATION
 }, {useSearch: true});
@@ -28,6 +62,26 @@ function initScene(canvas) {
   var queue = [];
   var lastIndex = 0;
   var pendingTimeout;
+  var exportInProgress = false;
+  // Set when the next image is shown as soon as the current chart collapses.
+  var waitingForCollapse = false;
+  var cameraStream = null;
+  // Rotates the camera of the 3D layout. Only exists while the layout is active.
+  var orbitControls = null;
+  var orbitCamera = {yaw: 0.6, pitch: 0.4, zoom: 1};
+  var chartBrush = null;
+  // Second chart, when two images are compared. It has its own canvas.
+  var comparison = null;
+  var comparisonCanvas = null;
+  // Url or a File of the image to compare with.
+  var compareImageLink = qs.get('compare') || null;
+  // Grid of charts that show current image grouped by other functions.
+  var smallMultiples = null;
+  // Whether animation was paused to keep the chart collapsed while user brushes it.
+  var brushPausedAnimation = false;
+  // Last position of the mouse over the canvas, or null when the mouse is outside.
+  var hoverPoint = null;
+  var pendingHoverFrame = 0;
 
   var url = qs.get('link')
 
@@ -58,9 +112,25 @@ function initScene(canvas) {
     sidebarOpen: !config.isSmallScreen(),
     duration: DEFAULT_ANIMATION_DURATION, 
     bucketCount: getSafeBucketCount(qs.get('bc')),
+    paletteSize: getSafePaletteSize(qs.get('ps')),
     maxPixels: getBestMaxPixels(),
+    videoSamplingInterval: getSafeVideoSamplingInterval(qs.get('vi')),
     currentColorGroupBy: getSafeColorGroupBy(qs.get('groupBy')), 
+    currentYGroupBy: getSafeYGroupBy(qs.get('groupByY')),
+    currentSortBy: getSafeSortBy(qs.get('sortBy')),
+    layout: getSafeLayout(qs.get('layout')),
+    colorSpace: getSafeColorSpace(qs.get('space')),
+    yScale: getSafeYScale(qs.get('yScale')),
+    filterMode: getSafeFilterMode(qs.get('filter')),
+    dimmedAlpha: getSafeDimmedAlpha(qs.get('dimAlpha')),
+    autoRotate: qs.get('rotate') !== false,
+    showAxes: qs.get('axes') !== false,
+    invertBrush: false,
+    compareImage: compareImageLink || '',
+    compareMode: getSafeCompareMode(qs.get('compareMode')),
+    smallMultiples: getSafeSmallMultiples(qs.get('grid')),
     initialImageState: getSafeInitialState(qs.get('initial')),
+    transition: getSafeTransition(qs.get('transition')),
     animationType: getSafeAnimationType(qs.get('atype')),
     paused: false,
     isFirstRun: queue.length === 0,
@@ -81,6 +151,12 @@ function initScene(canvas) {
      */
     setImages,
 
+    /**
+     * Uses live camera as the image source. Each animation cycle
+     * takes a new snapshot of the camera.
+     */
+    useCamera,
+
     /**
      * Sets duration of single animation step (expand or collapse)
      */
@@ -96,26 +172,182 @@ function initScene(canvas) {
      */
     setBucketCount,
 
+    /**
+     * Sets how many dominant colors we extract when pixels are grouped by palette.
+     */
+    setPaletteSize,
+
     /**
      * Sets maximum allowed amount of pixels.
      */
     setMaxPixels,
 
     /**
-     * Sets grouping method (rgb.r, hsv.h, etc.)
+     * Sets how often (in seconds of a video) we take a frame from video files.
+     */
+    setVideoSamplingInterval,
+
+    /**
+     * Sets grouping method (rgb.r, hsv.h, etc.). User defined expressions
+     * are passed as `custom:<expression>`.
      */
     setColorGroupBy,
 
+    /**
+     * Returns error message for a custom grouping expression, or null if
+     * the expression is valid.
+     */
+    getGroupByExpressionError: customGroupBy.validate,
+
+    /**
+     * Sets grouping method for the y axis. Empty string means that y axis
+     * shows pixels count (regular histogram).
+     */
+    setYGroupBy,
+
+    /**
+     * Sets grouping function that orders pixels inside each bucket. Empty
+     * string keeps the scan order of the image.
+     */
+    setSortBy,
+
+    /**
+     * Sets layout of the chart: 'linear' (bars) or 'polar' (wheel)
+     */
+    setLayout,
+
+    /**
+     * Sets color space of the 3D layout: 'rgb', 'hsv' or 'oklab'
+     */
+    setColorSpace,
+
+    /**
+     * Sets scale of the y axis: 'linear', 'log', 'sqrt' or 'percent'
+     */
+    setYScale,
+
+    /**
+     * Sets how filtered out buckets are rendered: 'hide', 'dim' or 'grayscale'.
+     * Dimmed and grayscale pixels stay in their places, so the remaining ones
+     * are easy to find in the image.
+     */
+    setFilterMode,
+
+    /**
+     * Sets opacity (0..1) of filtered out pixels in the 'dim' filter mode.
+     */
+    setDimmedAlpha,
+
+    /**
+     * Turns on or off rotation of the camera in the 3D layout.
+     */
+    setAutoRotate,
+
+    /**
+     * Shows or hides axes on top of the collapsed chart.
+     */
+    setShowAxes,
+
+    /**
+     * Sets image to compare the current one with (url or a File). Both charts use
+     * the same buckets and y axis. Null stops the comparison.
+     */
+    setCompareImage,
+
+    /**
+     * Sets how compared charts are drawn: 'side' by side, or 'mirror' (the
+     * second chart goes down from the first one).
+     */
+    setCompareMode,
+
+    /**
+     * Shows current image in a grid of charts. `groupBys` is a comma separated
+     * list of grouping functions of the other cells (e.g. 'rgb.r,rgb.g,rgb.b').
+     * The current chart is the first cell. Empty string hides the grid.
+     */
+    setSmallMultiples,
+
+    /**
+     * Returns grouping name and position (in pixels of the scene) of each grid
+     * cell, or null when the grid is not shown.
+     */
+    getSmallMultiples,
+
+    /**
+     * When set, brushing over the chart hides selected range of buckets, instead
+     * of keeping only them.
+     */
+    setInvertBrush,
+
     /**
      * Sets how scene should be rendered when ready. 
      */
     setInitialState,
 
-    ignoreBucket, // WIP
+    /**
+     * Sets how the next image of the queue appears: 'fade' starts it from scratch,
+     * 'morph' moves particles of the current chart into the chart of the next image.
+     */
+    setTransition,
+
+    /**
+     * Pauses or resumes current animation.
+     */
+    togglePaused,
+
+    /**
+     * Moves animation to a given point in [0, 1] range (0 - image, 1 - chart)
+     * and pauses it there.
+     */
+    seek,
+
+    /**
+     * Records one expand/collapse cycle of the current image into a WebM video.
+     */
+    exportVideo,
+
+    /**
+     * Renders one expand/collapse cycle of the current image into an animated GIF.
+     */
+    exportGif,
+
+    /**
+     * Renders one expand/collapse cycle of the current image into a ZIP of PNG frames.
+     */
+    exportPngFrames,
+
+    /**
+     * Saves a single frame (current one, the image or the chart) as a PNG file.
+     */
+    exportStill,
+
+    /**
+     * Saves the histogram of the current image as an SVG bar chart.
+     */
+    exportSvg,
+
+    /**
+     * Toggles visibility of a bucket (`{bucketNumber}`) or of an array of buckets.
+     * A range `{from, to, invert}` replaces current filter: buckets from `from`
+     * to `to` are kept, or hidden when `invert` is set. Null clears all filters.
+     */
+    ignoreBucket,
     getStatistics,// WIP
+
+    /**
+     * Returns ticks and names of the axes of the collapsed chart, along with
+     * the chart area (`bounds`) in fractions of the scene. Returns null when
+     * chart is not laid out as bars.
+     */
+    getChartAxes,
   };
 
   setAnimationDuration(qs.get('d'));
+  // Unknown groupings are dropped. Shared links should not keep them either.
+  if (qs.get('groupByY') && !state.currentYGroupBy) qs.set('groupByY', '');
+  if (qs.get('sortBy') && !state.currentSortBy) qs.set('sortBy', '');
+  updateOrbitControls();
+  updateChartBrush();
 
   // Yeah, this is not very good. But hey - this is a toy project. Adding abstraction
   // layers isn't always good.
@@ -138,13 +370,36 @@ function initScene(canvas) {
 
     var buckets = bucketList.split('_')
     buckets.forEach(b => {
-      var bucketNumber = Number.parseInt(b, 10);
-      if (!Number.isNaN(bucketNumber)) ignoredBucketSet.add(bucketNumber);
+      // Each item is either a bucket number, or an inclusive range, like `10-80`.
+      var range = b.split('-');
+      var from = Number.parseInt(range[0], 10);
+      var to = range.length > 1 ? Number.parseInt(range[1], 10) : from;
+      if (Number.isNaN(from) || Number.isNaN(to) || to - from > MAX_IGNORED_RANGE_LENGTH) return;
+
+      for (var bucketNumber = from; bucketNumber <= to; ++bucketNumber) {
+        ignoredBucketSet.add(bucketNumber);
+      }
     })
 
     return ignoredBucketSet;
   }
 
+  /**
+   * Writes ignored buckets as they are read by `readIgnoredBuckets()`. Neighbor
+   * buckets are collapsed into ranges, so that a brushed filter keeps the URL short.
+   */
+  function writeIgnoredBuckets(bucketSet) {
+    var buckets = Array.from(bucketSet).sort((a, b) => a - b);
+    var ranges = [];
+    for (var i = 0; i < buckets.length; ++i) {
+      var from = buckets[i];
+      while (i + 1 < buckets.length && buckets[i + 1] === buckets[i] + 1) i += 1;
+
+      ranges.push(from === buckets[i] ? from : from + '-' + buckets[i]);
+    }
+    return ranges.join('_');
+  }
+
   function ignoreBucket(bucketsToToggle) {
     if (!bucketsToToggle) {
       // If they want to clear buckets - let's clear.
@@ -153,13 +408,28 @@ function initScene(canvas) {
 
     if (currentPixChart) {
       // `bucketsToToggle` may be null if they want to clear ignore buckets.
-      toggleIgnoreBuckets(bucketsToToggle);
+      if (isBucketRange(bucketsToToggle)) ignoreBucketRange(bucketsToToggle);
+      else toggleIgnoreBuckets(bucketsToToggle);
+
+      applyParticleSettings(/* keepIgnoredBuckets = */ true);
+    }
+    qs.set('ignore', writeIgnoredBuckets(ignoredBuckets));
+  }
+
+  function isBucketRange(buckets) {
+    return buckets && typeof buckets.from === 'number' && typeof buckets.to === 'number';
+  }
+
+  function ignoreBucketRange(range) {
+    var particles = currentPixChart.getParticles();
+    if (!particles) return;
 
-      keepIgnoreBuckets = true;
-      restartCurrentAnimation(true);
-      //currentPixChart.ignoreBucketSet(ignoredBuckets);
+    ignoredBuckets.clear();
+    var bucketsCount = particles.buckets.length;
+    for (var i = 0; i < bucketsCount; ++i) {
+      var isInRange = range.from <= i && i <= range.to;
+      if (isInRange === !!range.invert) ignoredBuckets.add(i);
     }
-    qs.set('ignore', Array.from(ignoredBuckets).join('_'));
   }
 
   function toggleIgnoreBuckets(buckets) {
@@ -172,9 +442,191 @@ function initScene(canvas) {
     });
   }
 
+  function getChartAxes() {
+    var particles = currentPixChart && currentPixChart.getParticles();
+    var bounds = currentPixChart && currentPixChart.getChartBounds();
+    // Mirrored charts would need an axis going both up and down.
+    if (!particles || !bounds || isMirrored()) return null;
+
+    var axes = makeChartAxes(particles, state.yScale, getSharedMaxYValue(), getFilter());
+    axes.bounds = bounds;
+    return axes;
+  }
+
   function getStatistics() {
     var particles = currentPixChart && currentPixChart.getParticles();
-    if (particles) return makeStats(particles);
+    if (particles) return makeStats(particles, state.yScale, getComparedParticles());
+  }
+
+  function setCompareImage(imageLink) {
+    // Both the comparison and the grid split the scene. Only one of them is shown.
+    if (imageLink && state.smallMultiples) setSmallMultiples('');
+
+    compareImageLink = imageLink || null;
+    var isUrl = typeof compareImageLink === 'string';
+    state.compareImage = isUrl ? compareImageLink : (compareImageLink ? compareImageLink.name : '');
+    // Local files cannot be shared.
+    qs.set('compare', isUrl ? compareImageLink : '');
+
+    updateComparison();
+  }
+
+  function setCompareMode(compareMode) {
+    state.compareMode = getSafeCompareMode(compareMode);
+    qs.set('compareMode', state.compareMode);
+
+    updateComparisonLayout();
+  }
+
+  function getSafeCompareMode(plainInput) {
+    if (plainInput === 'mirror') return plainInput;
+    return 'side';
+  }
+
+  function isSideBySide() {
+    return !!compareImageLink && state.compareMode === 'side';
+  }
+
+  function isMirrored() {
+    return !!compareImageLink && state.compareMode === 'mirror';
+  }
+
+  /**
+   * (Re)creates the second chart for the current one. It needs particles of the
+   * current chart, so this is called every time they are loaded.
+   */
+  function updateComparison() {
+    disposeComparison();
+    var particles = currentPixChart && currentPixChart.getParticles();
+    if (!compareImageLink || !particles) {
+      updateComparisonLayout();
+      return;
+    }
+
+    if (!comparisonCanvas) {
+      comparisonCanvas = document.createElement('canvas');
+      comparisonCanvas.id = 'comparison-scene';
+      canvas.parentNode.insertBefore(comparisonCanvas, canvas.nextSibling);
+    }
+
+    var chartConfig = getPixChartConfig(comparisonCanvas);
+    chartConfig.chartPlacement = isMirrored() ? 'bottom' : 'full';
+    comparison = createComparison(currentPixChart, compareImageLink, chartConfig, onComparisonLoaded);
+    updateComparisonLayout();
+  }
+
+  function onComparisonLoaded() {
+    var sharedMaxYValue = getSharedMaxYValue();
+    forEachChart(chart => chart.setSharedMaxYValue(sharedMaxYValue));
+    bus.fire('comparison-loaded');
+  }
+
+  function disposeComparison() {
+    if (!comparison) return;
+
+    comparison.dispose();
+    comparison = null;
+    if (currentPixChart) currentPixChart.setSharedMaxYValue(null);
+  }
+
+  function updateComparisonLayout() {
+    if (currentPixChart) currentPixChart.setChartPlacement(isMirrored() ? 'top' : 'full');
+    if (comparison) comparison.chart.setChartPlacement(isMirrored() ? 'bottom' : 'full');
+    updateSize();
+    // Chart area has changed.
+    bus.fire('layout-changed', state.layout);
+  }
+
+  function getComparedParticles() {
+    return comparison && comparison.isLoaded() ? comparison.chart.getParticles() : null;
+  }
+
+  function getSharedMaxYValue() {
+    return comparison && comparison.isLoaded() ? comparison.getSharedMaxYValue() : undefined;
+  }
+
+  function setSmallMultiples(groupBys) {
+    if (groupBys && compareImageLink) setCompareImage(null);
+
+    state.smallMultiples = getSafeSmallMultiples(groupBys);
+    qs.set('grid', state.smallMultiples);
+
+    updateSmallMultiples();
+  }
+
+  function getSafeSmallMultiples(plainInput) {
+    if (!plainInput) return '';
+
+    var seen = new Set();
+    return plainInput.split(',')
+      .map(groupBy => groupBy.trim())
+      .filter(groupBy => {
+        if (!groupFunctions.hasOwnProperty(groupBy) || seen.has(groupBy)) return false;
+        seen.add(groupBy);
+        return true;
+      })
+      .slice(0, MAX_SMALL_MULTIPLES)
+      .join(',');
+  }
+
+  function getSmallMultiples() {
+    return smallMultiples && smallMultiples.getCellRects();
+  }
+
+  /**
+   * (Re)creates the grid for the current chart. Cells reuse decoded image of the
+   * current chart, so this is called every time its particles are loaded.
+   */
+  function updateSmallMultiples() {
+    disposeSmallMultiples();
+    var groupBys = getSmallMultiplesGroupBys();
+
+    var particles = currentPixChart && currentPixChart.getParticles();
+    if (particles && groupBys.length > 0) {
+      smallMultiples = createSmallMultiples(currentPixChart, groupBys, getPixChartConfig(canvas), notifySmallMultiplesChanged);
+    }
+
+    updateSize();
+    notifySmallMultiplesChanged();
+  }
+
+  function disposeSmallMultiples() {
+    if (!smallMultiples) return;
+
+    smallMultiples.dispose();
+    smallMultiples = null;
+  }
+
+  function notifySmallMultiplesChanged() {
+    bus.fire('small-multiples-changed', getSmallMultiples());
+  }
+
+  function getSmallMultiplesGroupBys() {
+    if (!state.smallMultiples) return [];
+    // Cells only see the first decoded frame, so videos and live sources have no grid.
+    if (currentPixChart && isDynamicSource(currentPixChart.imageLink)) return [];
+
+    // The current chart already shows its own grouping.
+    return state.smallMultiples.split(',').filter(groupBy => groupBy !== state.currentColorGroupBy);
+  }
+
+  /**
+   * Returns number of columns and rows of the grid. Scene is split as soon as
+   * the grid is requested, so that the current chart does not jump when cells are ready.
+   */
+  function getGridSize() {
+    var count = getSmallMultiplesGroupBys().length + 1;
+    var columns = Math.ceil(Math.sqrt(count));
+    return {
+      columns,
+      rows: Math.ceil(count / columns)
+    };
+  }
+
+  function forEachChart(callback) {
+    if (currentPixChart) callback(currentPixChart);
+    if (comparison) callback(comparison.chart);
+    if (smallMultiples) smallMultiples.getCharts().forEach(callback);
   }
 
   function setInitialState(newInitialState) {
@@ -185,20 +637,50 @@ function initScene(canvas) {
     restartCurrentAnimation();
   }
 
+  function setTransition(newTransition) {
+    state.transition = getSafeTransition(newTransition);
+    qs.set('transition', state.transition);
+  }
+
+  function getSafeTransition(plainInput) {
+    if (plainInput === 'morph') return plainInput;
+    return 'fade';
+  }
+
   function getSafeInitialState(plainInput) {
     if (plainInput === 'collapsed') return plainInput
     return 'expanded';
   }
 
+  function getSafeVideoSamplingInterval(plainInput) {
+    var seconds = Number.parseFloat(plainInput);
+    if (Number.isNaN(seconds) || seconds <= 0) return DEFAULT_VIDEO_SAMPLING_INTERVAL;
+    return Math.max(seconds, MIN_VIDEO_SAMPLING_INTERVAL);
+  }
+
   function getSafeColorGroupBy(plainInput) {
+    if (customGroupBy.isCustomGroupBy(plainInput)) {
+      var error = customGroupBy.validate(customGroupBy.getExpression(plainInput));
+      if (error) {
+        console.warn('Ignoring custom grouping expression: ' + error);
+        return 'hsl.l';
+      }
+    }
     return plainInput || 'hsl.l';
   }
 
+  function getSafePaletteSize(plainInput) {
+    var parsedValue = Number.parseInt(plainInput, 10);
+    if (Number.isNaN(parsedValue) || parsedValue < 1) return paletteGroupBy.DEFAULT_PALETTE_SIZE;
+
+    return Math.min(parsedValue, paletteGroupBy.MAX_PALETTE_SIZE);
+  }
+
   function getSafeBucketCount(plainInput) {
     var parsedValue = Number.parseInt(plainInput, 10);
     if (Number.isNaN(parsedValue) || parsedValue < 1) return DEFAULT_BUCKET_COUNT;
 
-    return parsedValue;
+    return Math.min(parsedValue, MAX_BUCKET_COUNT);
   }
 
   function setColorGroupBy(groupBy) {
@@ -206,9 +688,245 @@ function initScene(canvas) {
     state.currentColorGroupBy = safeGroupBy;
     qs.set('groupBy', state.currentColorGroupBy);
 
+    applyParticleSettings();
+  }
+
+  function setYGroupBy(groupBy) {
+    state.currentYGroupBy = getSafeYGroupBy(groupBy);
+    qs.set('groupByY', state.currentYGroupBy);
+
+    applyParticleSettings();
+  }
+
+  function getSafeYGroupBy(plainInput) {
+    return isKnownGroupBy(plainInput) ? plainInput : '';
+  }
+
+  /**
+   * Whether particle processor can group by the given name (a group function,
+   * or a valid custom expression). Unknown names fail every image.
+   */
+  function isKnownGroupBy(groupBy) {
+    if (!groupBy) return false;
+    if (customGroupBy.isCustomGroupBy(groupBy)) {
+      var error = customGroupBy.validate(customGroupBy.getExpression(groupBy));
+      if (error) console.warn('Ignoring custom grouping expression: ' + error);
+      return !error;
+    }
+    return groupFunctions.hasOwnProperty(groupBy);
+  }
+
+  function setSortBy(groupBy) {
+    state.currentSortBy = getSafeSortBy(groupBy);
+    qs.set('sortBy', state.currentSortBy);
+
+    applyParticleSettings();
+  }
+
+  function getSafeSortBy(plainInput) {
+    return isKnownGroupBy(plainInput) ? plainInput : '';
+  }
+
+  function setLayout(layout) {
+    state.layout = getSafeLayout(layout);
+    qs.set('layout', state.layout);
+
+    forEachChart(chart => chart.setLayout(state.layout));
+    updateOrbitControls();
+    updateChartBrush();
+    bus.fire('layout-changed', state.layout);
+  }
+
+  function getSafeLayout(plainInput) {
+    if (plainInput === 'polar' || plainInput === 'space') return plainInput;
+    return 'linear';
+  }
+
+  function setColorSpace(colorSpace) {
+    state.colorSpace = getSafeColorSpace(colorSpace);
+    qs.set('space', state.colorSpace);
+
+    forEachChart(chart => chart.setColorSpace(state.colorSpace));
+  }
+
+  function getSafeColorSpace(plainInput) {
+    if (plainInput === 'hsv' || plainInput === 'oklab') return plainInput;
+    return 'rgb';
+  }
+
+  function setYScale(yScale) {
+    state.yScale = getSafeYScale(yScale);
+    qs.set('yScale', state.yScale);
+
+    forEachChart(chart => chart.setYScale(state.yScale));
+    // Ratios in the statistics depend on the scale.
+    bus.fire('y-scale-changed', state.yScale);
+  }
+
+  function getSafeYScale(plainInput) {
+    if (plainInput === 'log' || plainInput === 'sqrt' || plainInput === 'percent') return plainInput;
+    return 'linear';
+  }
+
+  function setFilterMode(filterMode) {
+    state.filterMode = getSafeFilterMode(filterMode);
+    qs.set('filter', state.filterMode);
+
+    forEachChart(chart => chart.setFilterMode(state.filterMode));
+    bus.fire('filter-mode-changed', state.filterMode);
+  }
+
+  function getSafeFilterMode(plainInput) {
+    if (filterModes.FILTER_MODES.hasOwnProperty(plainInput)) return plainInput;
+    return 'hide';
+  }
+
+  function setDimmedAlpha(alpha) {
+    state.dimmedAlpha = getSafeDimmedAlpha(alpha);
+    qs.set('dimAlpha', state.dimmedAlpha);
+
+    forEachChart(chart => chart.setDimmedAlpha(state.dimmedAlpha));
+    bus.fire('dimmed-alpha-changed', state.dimmedAlpha);
+  }
+
+  function getFilter() {
+    return {
+      mode: state.filterMode,
+      dimmedAlpha: state.dimmedAlpha
+    };
+  }
+
+  function getSafeDimmedAlpha(plainInput) {
+    var parsedValue = Number.parseFloat(plainInput);
+    if (Number.isNaN(parsedValue)) return filterModes.DEFAULT_DIMMED_ALPHA;
+
+    return Math.max(0, Math.min(1, parsedValue));
+  }
+
+  function setShowAxes(isVisible) {
+    state.showAxes = !!isVisible;
+    qs.set('axes', state.showAxes);
+  }
+
+  function setAutoRotate(isEnabled) {
+    state.autoRotate = !!isEnabled;
+    qs.set('rotate', state.autoRotate);
+
+    if (orbitControls) orbitControls.setAutoRotate(state.autoRotate);
+  }
+
+  function setInvertBrush(isInverted) {
+    state.invertBrush = !!isInverted;
+  }
+
+  function updateChartBrush() {
+    var needsBrush = state.layout === 'linear';
+    if (needsBrush && !chartBrush) {
+      chartBrush = createChartBrush(canvas, {
+        getBucketAt,
+        onChange: onBrushChange,
+        onSelect: onBrushSelect,
+        onClick: togglePaused
+      });
+    } else if (!needsBrush && chartBrush) {
+      chartBrush.dispose();
+      chartBrush = null;
+    }
+  }
+
+  function getBucketAt(x) {
+    if (!currentPixChart || exportInProgress) return -1;
+    return currentPixChart.getBucketAt(x);
+  }
+
+  function onBrushChange(range) {
+    if (!range) {
+      if (brushPausedAnimation && currentPixChart) currentPixChart.play();
+      brushPausedAnimation = false;
+      bus.fire('brush-changed', null);
+      return;
+    }
+
+    if (!state.paused && !brushPausedAnimation) {
+      // Otherwise the chart would expand under the brush.
+      currentPixChart.pause();
+      brushPausedAnimation = true;
+    }
+
+    var particles = currentPixChart.getParticles();
+    var bounds = currentPixChart.getChartBounds();
+    var canvasRect = canvas.getBoundingClientRect();
+    var bucketsCount = particles.buckets.length;
+    bus.fire('brush-changed', {
+      left: canvasRect.left + (bounds.left + bounds.width * range.from/bucketsCount) * canvasRect.width,
+      top: canvasRect.top + bounds.top * canvasRect.height,
+      width: bounds.width * (range.to + 1 - range.from)/bucketsCount * canvasRect.width,
+      height: bounds.height * canvasRect.height,
+      invert: state.invertBrush,
+      label: chartLabels.getBucketRangeName(particles, range.from, range.to)
+    });
+  }
+
+  function onBrushSelect(range) {
+    ignoreBucket({
+      from: range.from,
+      to: range.to,
+      invert: state.invertBrush
+    });
+  }
+
+  function updateOrbitControls() {
+    var needsControls = state.layout === 'space';
+    if (needsControls && !orbitControls) {
+      orbitControls = createOrbitControls(canvas, {
+        camera: orbitCamera,
+        autoRotate: state.autoRotate,
+        onChange: updateCamera,
+        onClick: togglePaused
+      });
+    } else if (!needsControls && orbitControls) {
+      orbitControls.dispose();
+      orbitControls = null;
+    }
+  }
+
+  function updateCamera(newCamera) {
+    orbitCamera = newCamera;
+    forEachChart(chart => chart.setCamera(orbitCamera));
+  }
+
+  /**
+   * Moves particles of the collapsed chart straight into the chart with current
+   * settings. When the chart is not collapsed, the animation starts over instead.
+   */
+  function applyParticleSettings(keepIgnoredBuckets) {
+    // Buckets of the new settings mean something else.
+    if (!keepIgnoredBuckets) clearIgnoreBuckets();
+
+    if (currentPixChart && currentPixChart.morphSettings(getParticleSettings())) {
+      // The chart continues its cycle when the morph is done.
+      if (pendingTimeout) {
+        clearTimeout(pendingTimeout);
+        pendingTimeout = 0;
+      }
+      return;
+    }
+
+    keepIgnoreBuckets = !!keepIgnoredBuckets;
     restartCurrentAnimation();
   }
 
+  function getParticleSettings() {
+    return {
+      colorGroupBy: state.currentColorGroupBy,
+      yGroupBy: state.currentYGroupBy,
+      sortBy: state.currentSortBy,
+      bucketCount: state.bucketCount,
+      paletteSize: state.paletteSize,
+      ignoredBuckets
+    };
+  }
+
   function restartCurrentAnimation() {
     if (!queue.length) return;
 
@@ -240,20 +958,22 @@ function initScene(canvas) {
   }
 
   function handleDroppedFiles(files) {
-    var images = files.filter(isImage)
+    var images = files.filter(isImageOrVideo)
     if (images.length > 0) {
       setImages(images);
     }
   }
 
-  function isImage(file) {
-    return file && file.type && file.type.indexOf('image/') === 0;
+  function isImageOrVideo(file) {
+    return file && file.type && (file.type.indexOf('image/') === 0 || file.type.indexOf('video/') === 0);
   }
 
   function listenToEvents() {
     window.addEventListener('paste', handlePaste, false);
     window.addEventListener('resize', updateSize);
     canvas.addEventListener('click', onCanvasClick);
+    canvas.addEventListener('mousemove', onCanvasMouseMove);
+    canvas.addEventListener('mouseleave', onCanvasMouseLeave);
     document.body.addEventListener('keydown', onKeyDown);
     bus.on('theme-changed', updateTheme);
   }
@@ -266,10 +986,31 @@ function initScene(canvas) {
     window.removeEventListener('resize', updateSize);
     window.removeEventListener('paste', handlePaste, false);
     canvas.removeEventListener('click', onCanvasClick);
+    canvas.removeEventListener('mousemove', onCanvasMouseMove);
+    canvas.removeEventListener('mouseleave', onCanvasMouseLeave);
+    if (pendingHoverFrame) {
+      cancelAnimationFrame(pendingHoverFrame);
+      pendingHoverFrame = 0;
+    }
     document.body.removeEventListener('keydown', onKeyDown);
     bus.off('theme-changed', updateTheme)
 
     dropHandler.dispose();
+    stopCamera();
+    if (orbitControls) {
+      orbitControls.dispose();
+      orbitControls = null;
+    }
+    if (chartBrush) {
+      chartBrush.dispose();
+      chartBrush = null;
+    }
+    disposeComparison();
+    disposeSmallMultiples();
+    if (comparisonCanvas) {
+      comparisonCanvas.parentNode.removeChild(comparisonCanvas);
+      comparisonCanvas = null;
+    }
 
     currentPixChart.dispose();
     currentPixChart = null;
@@ -299,8 +1040,47 @@ function initScene(canvas) {
     }
   }
 
+  function onCanvasMouseMove(e) {
+    hoverPoint = {
+      x: e.offsetX,
+      y: e.offsetY,
+      clientX: e.clientX,
+      clientY: e.clientY
+    };
+    // Mouse moves much more often than we render.
+    if (!pendingHoverFrame) pendingHoverFrame = requestAnimationFrame(updateHover);
+  }
+
+  function onCanvasMouseLeave() {
+    hoverPoint = null;
+    updateHover();
+  }
+
+  /**
+   * Tells the UI what is under the mouse. Particles move under a still mouse too,
+   * so this is also called on every animation frame.
+   */
+  function updateHover() {
+    pendingHoverFrame = 0;
+    var target = hoverPoint && currentPixChart && !exportInProgress && currentPixChart.pick(hoverPoint.x, hoverPoint.y);
+    if (!target) {
+      bus.fire('hover-changed', null);
+      return;
+    }
+
+    bus.fire('hover-changed', describeHoverTarget(currentPixChart.getParticles(), target), {
+      x: hoverPoint.clientX,
+      y: hoverPoint.clientY
+    });
+  }
+
   function togglePaused(e) {
-    state.paused = currentPixChart.togglePaused();
+    if (!currentPixChart || exportInProgress) return;
+
+    var isPaused = currentPixChart.togglePaused();
+    if (isPaused === undefined) return; // Image is not loaded yet.
+
+    state.paused = isPaused;
     if (state.paused) {
       clearTimeout(pendingTimeout);
     }
@@ -308,8 +1088,160 @@ function initScene(canvas) {
       step: state.paused ? 'paused' : 'unpaused'
     });
     bus.fire('pause-changed', state.paused, {
-      x: e.clientX,
-      y: e.clientY
+      x: e ? e.clientX : window.innerWidth/2,
+      y: e ? e.clientY : window.innerHeight/2
+    });
+  }
+
+  function seek(t) {
+    if (!currentPixChart || exportInProgress) return;
+
+    if (!state.paused) togglePaused();
+    currentPixChart.seek(t);
+  }
+
+  function exportVideo(videoOptions) {
+    return runExport('video', 'pixchart.webm', videoOptions, chart => recordVideo(chart, canvas, {
+      fps: videoOptions.fps,
+      background: videoOptions.background,
+      isCancelled: () => chart !== currentPixChart,
+      onProgress(framesCount) {
+        progressElement.innerText = 'Recorded ' + formatNumber(framesCount) + ' video frames';
+      }
+    }));
+  }
+
+  function exportGif(gifOptions) {
+    var limitedOptions = getLimitedGifOptions(gifOptions);
+    return runExport('GIF', 'pixchart.gif', limitedOptions, chart => {
+      chart.pause();
+      return renderGif(chart, getFramesOptions(chart, limitedOptions));
+    });
+  }
+
+  function getLimitedGifOptions(gifOptions) {
+    var width = gifOptions.width || canvas.width;
+    var height = gifOptions.height || canvas.height;
+    // Aspect ratio stays the same, so that the GIF looks like other exports.
+    var scale = Math.min(1, Math.sqrt(MAX_GIF_PIXELS / (width * height)));
+
+    return Object.assign({}, gifOptions, {
+      width: Math.max(1, Math.round(width * scale)),
+      height: Math.max(1, Math.round(height * scale)),
+      fps: Math.min(gifOptions.fps, MAX_GIF_FPS, MAX_GIF_FRAMES_PER_PHASE / state.duration)
+    });
+  }
+
+  function exportPngFrames(framesOptions) {
+    return runExport('frames', 'pixchart-frames.zip', framesOptions, chart => {
+      chart.pause();
+      return renderPngFrames(chart, getFramesOptions(chart, framesOptions));
+    });
+  }
+
+  function getFramesOptions(chart, exportOptions) {
+    return {
+      fps: exportOptions.fps,
+      framesPerPhase: exportOptions.fps * state.duration,
+      background: exportOptions.background,
+      isCancelled: () => chart !== currentPixChart,
+      onProgress(renderedFrames, totalFrames) {
+        progressElement.innerText = 'Rendered ' + formatNumber(renderedFrames) + ' frames out of ' + formatNumber(totalFrames);
+      }
+    };
+  }
+
+  /**
+   * Renders current chart at the requested size with `doExport(chart)` callback, and
+   * downloads the file that it produces.
+   */
+  function runExport(exportName, fileName, exportOptions, doExport) {
+    if (!currentPixChart || exportInProgress) return Promise.resolve();
+
+    var chart = currentPixChart;
+    exportInProgress = true;
+    // Camera should stay still while frames are rendered.
+    if (orbitControls) orbitControls.setAutoRotate(false);
+    if (pendingTimeout) {
+      clearTimeout(pendingTimeout);
+      pendingTimeout = 0;
+    }
+    state.paused = false;
+    document.body.classList.remove('paused');
+
+    // Export size can be different from the window size. We keep canvas visually
+    // the same while it renders frames for the export.
+    canvas.style.width = canvas.clientWidth + 'px';
+    canvas.style.height = canvas.clientHeight + 'px';
+    chart.setSceneSize(exportOptions.width || canvas.width, exportOptions.height || canvas.height);
+
+    progressElement.innerText = 'Preparing ' + exportName + '...';
+    progressElement.style.opacity = '1';
+
+    return waitForSceneSize()
+      .then(() => doExport(chart))
+      .then(file => {
+        downloadBlob(file, fileName);
+        progressElement.style.opacity = '0';
+      })
+      .catch(err => {
+        if (chart === currentPixChart) showExportError(exportName, err);
+        // Otherwise image was changed, nothing to report.
+      })
+      .then(() => {
+        exportInProgress = false;
+        if (orbitControls) orbitControls.setAutoRotate(state.autoRotate);
+        canvas.style.width = '';
+        canvas.style.height = '';
+        if (chart === currentPixChart) {
+          updateSize();
+          chart.rewind();
+          chart.restartCycle();
+        }
+      });
+  }
+
+  function exportStill(stillOptions) {
+    // Offscreen render would change the viewport of the chart that is being recorded.
+    if (!currentPixChart || exportInProgress) return Promise.resolve();
+
+    return renderStill(currentPixChart, {
+      width: stillOptions.width || canvas.width,
+      height: stillOptions.height || canvas.height,
+      t: getStillProgress(stillOptions.frame),
+      background: stillOptions.background
+    }).then(png => {
+      downloadBlob(png, 'pixchart-' + stillOptions.frame + '.png');
+    }).catch(err => showExportError('image', err));
+  }
+
+  function exportSvg(svgOptions) {
+    var particles = currentPixChart && currentPixChart.getParticles();
+    if (!particles) return;
+
+    // Bars should look the same as the chart on the screen.
+    var svg = makeHistogramSvg(particles, Object.assign({yScale: state.yScale, filter: getFilter()}, svgOptions));
+    downloadBlob(new Blob([svg], {type: 'image/svg+xml'}), 'pixchart-histogram.svg');
+  }
+
+  function getStillProgress(frameName) {
+    if (frameName === 'image') return 0;
+    if (frameName === 'chart') return 1;
+    // Otherwise it's the current frame.
+  }
+
+  function showExportError(exportName, err) {
+    console.error('Could not export ' + exportName, err);
+    progressElement.classList.add('error');
+    progressElement.style.opacity = '1';
+    cleanErrorClass = true;
+    progressElement.innerText = 'Could not export ' + exportName + ': ' + err.message;
+  }
+
+  function waitForSceneSize() {
+    // pixChart applies new size on the next animation frame.
+    return new Promise(resolve => {
+      requestAnimationFrame(() => requestAnimationFrame(resolve));
     });
   }
 
@@ -317,7 +1249,23 @@ function initScene(canvas) {
     if (currentPixChart) {
       var sideBarWidthOffset = (!state.sidebarOpen || config.isSmallScreen ()) ? 0: config.sidebarWidth;
       var sideBarHeightOffset = config.isSmallScreen() ? config.sidebarHeight : 0;
-      currentPixChart.setSceneSize(window.innerWidth - sideBarWidthOffset, window.innerHeight - sideBarHeightOffset);
+      var width = window.innerWidth - sideBarWidthOffset;
+      var height = window.innerHeight - sideBarHeightOffset;
+      // Side by side charts split the scene in halves.
+      if (isSideBySide()) width = Math.floor(width/2);
+      var grid = getGridSize();
+      width = Math.floor(width/grid.columns);
+      height = Math.floor(height/grid.rows);
+
+      currentPixChart.setSceneSize(width, height);
+      if (comparison) {
+        comparisonCanvas.style.marginLeft = isSideBySide() ? width + 'px' : '0';
+        comparison.chart.setSceneSize(width, height);
+      }
+      if (smallMultiples) {
+        smallMultiples.setCellSize(width, height, grid.columns);
+        notifySmallMultiplesChanged();
+      }
     }
   }
 
@@ -341,7 +1289,11 @@ function initScene(canvas) {
         state.isLocalFiles = true;
       }
       bus.fire('image-loaded');
+      updateComparison();
+      updateSmallMultiples();
     } else if (progress.step === 'error') {
+      // Last frame of the previous image may still be on the screen.
+      canvas.style.opacity = '0';
       progressElement.classList.add('error');
       cleanErrorClass = true;
       progressElement.innerHTML = 'Could not load image :(. <br /> Try uploading it to <a href="https://imgur.com" target="_blank">imgur.com</a>?'
@@ -366,7 +1318,7 @@ function initScene(canvas) {
 
   function setImage(imageLink, forceDispose) {
     if (currentPixChart && imageLink === currentPixChart.imageLink && !forceDispose) {
-      currentPixChart.restartCycle()
+      currentPixChart.refresh()
       return;
     }
 
@@ -377,6 +1329,8 @@ function initScene(canvas) {
       } 
 
       bus.fire('image-unloaded', currentPixChart);
+      disposeComparison();
+      disposeSmallMultiples();
 
       currentPixChart.dispose();
       pendingTimeout = setTimeout(() => {
@@ -390,10 +1344,14 @@ function initScene(canvas) {
 
   function clearIgnoreBuckets(keepQueryString) {
     ignoredBuckets.clear();
-    if (!keepQueryString) qs.set('ignore', Array.from(ignoredBuckets).join('_'));
+    if (!keepQueryString) qs.set('ignore', writeIgnoredBuckets(ignoredBuckets));
   }
 
-  function createPixChart(imageLink) {
+  /**
+   * @param {Object} [morphFrom] - particles of the previous image. When set, the new
+   * chart morphs out of them.
+   */
+  function createPixChart(imageLink, morphFrom) {
     progressElement.innerText = 'Loading image...';
     progressElement.style.opacity = '1';
 
@@ -401,17 +1359,42 @@ function initScene(canvas) {
     if (!keepIgnoreBuckets) clearIgnoreBuckets();
     keepIgnoreBuckets = false;
 
-    var pixChartConfig = {
-      canvas,
-      colorGroupBy: state.currentColorGroupBy,
+    // New charts always start playing.
+    state.paused = false;
+    document.body.classList.remove('paused');
+    waitingForCollapse = false;
+
+    var pixChartConfig = getPixChartConfig(canvas);
+    pixChartConfig.morphFrom = morphFrom;
+    currentPixChart = pixChart(imageLink, pixChartConfig);
+    // Mirrored chart leaves the bottom half to the second image.
+    currentPixChart.setChartPlacement(isMirrored() ? 'top' : 'full');
+
+    currentPixChart.on('cycle-complete', () => {
+      if (exportInProgress) return; // Recording drives the cycle on its own.
+      pendingTimeout = setTimeout(showNextInQueue, PAUSE_BETWEEN_CYCLES);
+    });
+    currentPixChart.on('collapsed', onChartCollapsed);
+    currentPixChart.on('loading-progress', showLoadingProgress);
+    currentPixChart.on('frame', notifyFrame);
+  }
+
+  function getPixChartConfig(chartCanvas) {
+    var pixChartConfig = Object.assign(getParticleSettings(), {
+      canvas: chartCanvas,
+      layout: state.layout,
+      colorSpace: state.colorSpace,
+      yScale: state.yScale,
+      filterMode: state.filterMode,
+      dimmedAlpha: state.dimmedAlpha,
+      camera: orbitCamera,
       scaleImage: true,
-      bucketCount: state.bucketCount,
-      ignoredBuckets,
       stochastic: isAnimationStochastic(),
       collapsed: state.initialImageState === 'collapsed',
       maxPixels: state.maxPixels,
+      videoSamplingInterval: state.videoSamplingInterval,
       framesCount: toFrames(state.duration),
-    };
+    });
 
     if (isBezierAnimation()) {
       pixChartConfig.interpolate = customInterpolation.bezierNoise; 
@@ -419,22 +1402,20 @@ function initScene(canvas) {
       pixChartConfig.interpolate = customInterpolation.voigram; 
     }
 
-    currentPixChart = pixChart(imageLink, pixChartConfig);
-
-    currentPixChart.on('cycle-complete', () => {
-      pendingTimeout = setTimeout(processNextInQueue, PAUSE_BETWEEN_CYCLES);
-    });
-    currentPixChart.on('loading-progress', showLoadingProgress);
-    currentPixChart.on('frame', notifyFrame);
+    return pixChartConfig;
   }
 
   function notifyFrame(t) {
     bus.fire('animation-frame', t);
+    if (comparison) comparison.sync();
+    if (smallMultiples) smallMultiples.sync();
+    if (hoverPoint) updateHover();
   }
 
   function setImages(files) {
     state.isFirstRun = false;
     if (files.length === 0) return;
+    stopCamera();
     // TODO: Queued images are not visible anywhere.
     //  Might need to improve UX around this area
     queue = files;
@@ -443,6 +1424,36 @@ function initScene(canvas) {
     processNextInQueue();
   }
 
+  function useCamera() {
+    var streamRequest;
+    if (qs.get('camera') === 'synthetic') {
+      // No camera is needed to test live input.
+      streamRequest = new Promise(resolve => resolve(createSyntheticStream()));
+    } else if (navigator.mediaDevices && navigator.mediaDevices.getUserMedia) {
+      streamRequest = navigator.mediaDevices.getUserMedia({video: true, audio: false});
+    } else {
+      streamRequest = Promise.reject(new Error('Camera is not supported by this browser'));
+    }
+
+    return streamRequest.then(stream => {
+      setImages([stream]);
+      cameraStream = stream;
+    }).catch(err => {
+      console.error('Could not start camera', err);
+      progressElement.classList.add('error');
+      progressElement.style.opacity = '1';
+      cleanErrorClass = true;
+      progressElement.innerText = 'Could not start camera: ' + err.message;
+    });
+  }
+
+  function stopCamera() {
+    if (!cameraStream) return;
+
+    cameraStream.getTracks().forEach(track => track.stop());
+    cameraStream = null;
+  }
+
   function setAnimationType(animationType) {
     var safeType = getSafeAnimationType(animationType)
     if (safeType !== animationType) throw new Error('unknown animation ' + animationType);
@@ -480,11 +1491,24 @@ function initScene(canvas) {
   function setBucketCount(newCount) {
     var bucketCount = Number.parseInt(newCount, 10);
     if (Number.isNaN(bucketCount) || bucketCount < 1) return;
+    bucketCount = Math.min(bucketCount, MAX_BUCKET_COUNT);
 
     qs.set('bc', bucketCount);
     state.bucketCount = bucketCount;
     if (currentPixChart) {
-      restartCurrentAnimation();
+      applyParticleSettings();
+    }
+  }
+
+  function setPaletteSize(newSize) {
+    var paletteSize = Number.parseInt(newSize, 10);
+    if (Number.isNaN(paletteSize) || paletteSize < 1) return;
+    paletteSize = Math.min(paletteSize, paletteGroupBy.MAX_PALETTE_SIZE);
+
+    qs.set('ps', paletteSize);
+    state.paletteSize = paletteSize;
+    if (currentPixChart && paletteGroupBy.isPaletteGroupBy(state.currentColorGroupBy)) {
+      applyParticleSettings();
     }
   }
 
@@ -501,6 +1525,18 @@ function initScene(canvas) {
     }
   }
 
+  function setVideoSamplingInterval(newInterval) {
+    var seconds = Number.parseFloat(newInterval);
+    if (Number.isNaN(seconds) || seconds <= 0) return;
+    seconds = Math.max(seconds, MIN_VIDEO_SAMPLING_INTERVAL);
+
+    qs.set('vi', seconds);
+    state.videoSamplingInterval = seconds;
+    if (currentPixChart) {
+      currentPixChart.setVideoSamplingInterval(seconds);
+    }
+  }
+
   function processPrevInQueue(forceDispose) {
     if (queue.length === 0) return;
 
@@ -509,6 +1545,62 @@ function initScene(canvas) {
     processNextInQueue(forceDispose);
   }
 
+  /**
+   * Moves to the next image of the queue with the selected transition.
+   */
+  function showNextInQueue() {
+    pendingTimeout = 0;
+    if (!canMorphToNextImage()) {
+      processNextInQueue();
+      return;
+    }
+
+    if (currentPixChart.isCollapsed()) {
+      morphToNextInQueue();
+    } else {
+      // Particles go through the chart of the current image into the next one.
+      waitingForCollapse = true;
+      currentPixChart.restartCycle();
+    }
+  }
+
+  function canMorphToNextImage() {
+    if (state.transition !== 'morph' || queue.length < 2 || !currentPixChart || !currentPixChart.getParticles()) {
+      return false;
+    }
+
+    // Videos and live sources play their own frames between cycles. They fade.
+    return !isDynamicSource(currentPixChart.imageLink) && !isDynamicSource(queue[lastIndex]);
+  }
+
+  function isDynamicSource(imageLink) {
+    if (typeof MediaStream !== 'undefined' && imageLink instanceof MediaStream) return true;
+    return !!(imageLink && imageLink.type && imageLink.type.indexOf('video/') === 0);
+  }
+
+  function onChartCollapsed() {
+    if (!waitingForCollapse) return;
+
+    waitingForCollapse = false;
+    morphToNextInQueue();
+  }
+
+  function morphToNextInQueue() {
+    var particles = currentPixChart.getParticles();
+    var img = queue[lastIndex]
+    lastIndex += 1;
+    if (lastIndex >= queue.length) lastIndex = 0;
+
+    bus.fire('image-unloaded', currentPixChart);
+    disposeComparison();
+    disposeSmallMultiples();
+    // Particles keep their image canvas, so the chart itself is no longer needed.
+    // Its last frame stays on the screen until the next image is ready.
+    currentPixChart.dispose(/* keepLastFrame = */ true);
+
+    createPixChart(img, particles);
+  }
+
   function processNextInQueue(forceDispose) {
     if (pendingTimeout) {
       clearTimeout(pendingTimeout);